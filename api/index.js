@@ -17,7 +17,12 @@ connectDB();
 require('../models/User');
 require('../models/Job');
 require('../models/Proposal');
+require('../models/ProposalRevision');
 require('../models/Notification');
+require('../models/SavedSearch');
+require('../models/ReviewRequest');
+require('../models/Conversation');
+require('../models/Payment');
 
 const app = express();
 
@@ -89,7 +94,15 @@ app.use((req, res, next) => {
 });
 
 // Body parser middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for payment webhooks so signatures can be verified
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: false, limit: '10mb' }));
 
 // Cookie parser
@@ -125,7 +138,12 @@ app.use('/api/proposals', require('../routes/proposals'));
 app.use('/api/messages', require('../routes/messages'));
 app.use('/api/reviews', require('../routes/reviews'));
 app.use('/api/upload', require('../routes/upload'));
+app.use('/api/portfolio', require('../routes/portfolio'));
 app.use('/api/notifications', require('../routes/notifications'));
+app.use('/api/saved-searches', require('../routes/savedSearches'));
+app.use('/api/availability', require('../routes/availability'));
+app.use('/api/payments', require('../routes/payments'));
+app.use('/api/admin', require('../routes/admin'));
 
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
@@ -220,8 +238,18 @@ const server = app.listen(PORT, () => {
 🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}
 📡 API Base URL: http://localhost:${PORT}/api
 🏥 Health Check: http://localhost:${PORT}/health
+🔌 WebSocket: ws://localhost:${PORT}${process.env.WS_PATH || '/ws'}
 🌐 CORS Origin: ${process.env.CORS_ORIGIN || 'http://localhost:3001'}
   `);
 });
 
+// Real-time messaging (WebSocket upgrade on /ws)
+require('../services/realtime').attach(server);
+
+// Background tasks: job expiry, reminders, review requests and notification emails
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  require('../services/lifecycleTasks').registerLifecycleTasks();
+  require('../services/scheduler').start();
+}
+
 module.exports = app; 
\ No newline at end of file
@@ -1,35 +1,58 @@
 const crypto = require('crypto');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
-
-// Helper function to send token response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
-
-  // Cookie options
-  const options = {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-  };
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mail');
+const { applyGeoLocation } = require('../utils/geo');
+const sessions = require('../services/sessions');
+const { createChallengeToken } = require('../services/twoFactor');
+
+// Build the email verification link (served by GET /api/auth/verify/:token)
+const getVerifyUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/auth/verify/${token}`;
+
+// Cookie options for the access and refresh token cookies
+const cookieOptions = (expires, path = '/') => ({
+  expires,
+  path,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+// Helper function to send an access token and refresh token for a session
+const sendSessionTokens = (user, session, refreshToken, statusCode, res) => {
+  // Create short-lived access token bound to the session
+  const token = user.getSignedJwtToken(session._id);
 
   // Remove password from response
   const userResponse = user.toObject();
   delete userResponse.password;
 
   res.status(statusCode)
-     .cookie('token', token, options)
+     .cookie('token', token, cookieOptions(session.expiresAt))
+     .cookie('refreshToken', refreshToken, cookieOptions(session.expiresAt, '/api/auth'))
      .json({
        success: true,
        token,
+       refreshToken,
        data: {
          user: userResponse
        }
      });
 };
 
+// Helper function to start a new session and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await sessions.createSession(user, req);
+  sendSessionTokens(user, session, refreshToken, statusCode, res);
+};
+
+// Clear both auth cookies
+const clearAuthCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+  res.cookie('token', 'none', cookieOptions(expires));
+  res.cookie('refreshToken', 'none', cookieOptions(expires, '/api/auth'));
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -83,11 +106,15 @@ const register = async (req, res) => {
     user.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
     await user.save();
 
-    // Send email verification (implement email service later)
-    // await sendVerificationEmail(user.email, emailVerificationToken);
+    // Send email verification (registration still succeeds if this fails)
+    try {
+      await sendVerificationEmail(user, getVerifyUrl(req, emailVerificationToken));
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
 
     // Send token response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
 
   } catch (error) {
     console.error('Registration error:', error);
@@ -142,6 +169,14 @@ const login = async (req, res) => {
       });
     }
 
+    // Check if an admin has suspended the account
+    if (user.suspension && user.suspension.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been suspended'
+      });
+    }
+
     // Check if account is active
     if (!user.isActive) {
       return res.status(401).json({
@@ -163,6 +198,17 @@ const login = async (req, res) => {
       });
     }
 
+    // With 2FA on, the password only earns a short-lived challenge token;
+    // failed attempts keep counting until the code is verified
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+        message: 'Enter the code from your authenticator app or a recovery code'
+      });
+    }
+
     // Reset login attempts on successful login
     if (user.loginAttempts > 0) {
       await user.resetLoginAttempts();
@@ -172,7 +218,7 @@ const login = async (req, res) => {
     await user.updateLastLogin();
 
     // Send token response
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -183,14 +229,22 @@ const login = async (req, res) => {
   }
 };
 
-// @desc    Logout user / clear cookie
-// @route   GET /api/auth/logout
-// @access  Private
+// @desc    Logout user / revoke session and clear cookies
+// @route   POST /api/auth/logout (GET kept for older clients)
+// @access  Public (uses the access token or refresh token to find the session)
 const logout = async (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+  try {
+    if (req.user && req.sessionId) {
+      await sessions.revokeSession(req.user._id, req.sessionId, 'logout');
+    } else {
+      const refreshToken = (req.cookies && req.cookies.refreshToken) || (req.body && req.body.refreshToken);
+      await sessions.revokeByRefreshToken(refreshToken, 'logout');
+    }
+  } catch (error) {
+    console.error('Logout session revoke error:', error);
+  }
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -198,6 +252,143 @@ const logout = async (req, res) => {
   });
 };
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token in cookie or body)
+const refresh = async (req, res) => {
+  try {
+    const refreshToken = (req.cookies && req.cookies.refreshToken) || (req.body && req.body.refreshToken);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { session, refreshToken: newRefreshToken } = await sessions.rotateSession(refreshToken, req);
+
+    // Account status may have changed since the session started
+    const user = await User.findById(session.user);
+    const blocked = !user
+      ? 'User not found'
+      : (user.suspension && user.suspension.isSuspended) ? 'Account has been suspended'
+      : !user.isActive ? 'Account has been deactivated'
+      : null;
+
+    if (blocked) {
+      await sessions.revokeSession(session.user, session._id, user && user.suspension && user.suspension.isSuspended ? 'account_suspended' : 'account_deactivated');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: blocked
+      });
+    }
+
+    sendSessionTokens(user, session, newRefreshToken, 200, res);
+  } catch (error) {
+    if (error.statusCode) {
+      clearAuthCookies(res);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing session'
+    });
+  }
+};
+
+// @desc    List active sessions (devices) for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const Session = require('../models/Session');
+    const active = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: active.length,
+      data: active.map(session => session.toSummary(req.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Revoke one session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+
+    const revoked = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await sessions.revokeSession(req.user._id, req.params.id, 'user_revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (req.params.id === String(req.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Sign out everywhere (optionally keeping the current session)
+// @route   DELETE /api/auth/sessions?keepCurrent=true
+// @access  Private
+const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const count = await sessions.revokeAllSessions(
+      req.user._id,
+      'signed_out_everywhere',
+      keepCurrent ? req.sessionId : null
+    );
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out of ${count} session${count === 1 ? '' : 's'}`,
+      count
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -249,6 +440,11 @@ const updateDetails = async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    // findByIdAndUpdate skips the pre-save hook, so resolve the location here
+    if (fieldsToUpdate.location) {
+      applyGeoLocation(fieldsToUpdate.location, { refreshFromPostcode: !fieldsToUpdate.location.coordinates });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       fieldsToUpdate,
@@ -301,7 +497,10 @@ const updatePassword = async (req, res) => {
     user.password = req.body.newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every device; this request gets a fresh session
+    await sessions.revokeAllSessions(user._id, 'password_changed');
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Update password error:', error);
     res.status(500).json({
@@ -352,8 +551,22 @@ const forgotPassword = async (req, res) => {
     // Create reset URL
     const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
 
-    // Send email with reset link (implement email service later)
-    // await sendPasswordResetEmail(user.email, resetUrl);
+    // Send email with reset link
+    try {
+      await sendPasswordResetEmail(user, resetUrl);
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+
+      // Clear reset fields if the email could not be sent
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -363,14 +576,6 @@ const forgotPassword = async (req, res) => {
 
   } catch (error) {
     console.error('Forgot password error:', error);
-    
-    // Clear reset fields if error
-    if (user) {
-      user.passwordResetToken = undefined;
-      user.passwordResetExpires = undefined;
-      await user.save();
-    }
-
     res.status(500).json({
       success: false,
       message: 'Email could not be sent'
@@ -418,7 +623,20 @@ const resetPassword = async (req, res) => {
     
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Sign out every device that was using the old password
+    await sessions.revokeAllSessions(user._id, 'password_reset');
+
+    // The reset link only proves access to the email; 2FA accounts still need their code
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user),
+        message: 'Password reset. Enter the code from your authenticator app or a recovery code to sign in'
+      });
+    }
+
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Reset password error:', error);
     res.status(500).json({
@@ -486,8 +704,8 @@ const resendVerification = async (req, res) => {
     
     await user.save();
 
-    // Send email verification (implement email service later)
-    // await sendVerificationEmail(user.email, emailVerificationToken);
+    // Send email verification
+    await sendVerificationEmail(user, getVerifyUrl(req, emailVerificationToken));
 
     res.status(200).json({
       success: true,
@@ -531,6 +749,7 @@ const updateArtistProfile = async (req, res) => {
       experience,
       portfolio,
       pricing,
+      travelRadius,
       availability,
       documents
     } = req.body;
@@ -542,6 +761,7 @@ const updateArtistProfile = async (req, res) => {
     if (experience !== undefined) updateFields['artistProfile.experience'] = experience;
     if (portfolio) updateFields['artistProfile.portfolio'] = portfolio;
     if (pricing) updateFields['artistProfile.pricing'] = pricing;
+    if (travelRadius !== undefined) updateFields['artistProfile.travelRadius'] = travelRadius;
     if (availability) updateFields['artistProfile.availability'] = availability;
     if (documents) updateFields['artistProfile.documents'] = documents;
 
@@ -580,6 +800,9 @@ const deactivateAccount = async (req, res) => {
       { new: true }
     );
 
+    await sessions.revokeAllSessions(req.user._id, 'account_deactivated');
+    clearAuthCookies(res);
+
     res.status(200).json({
       success: true,
       message: 'Account deactivated successfully'
@@ -594,9 +817,15 @@ const deactivateAccount = async (req, res) => {
 };
 
 module.exports = {
+  sendTokenResponse,
+  clearAuthCookies,
   register,
   login,
   logout,
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   getMe,
   updateDetails,
   updatePassword,
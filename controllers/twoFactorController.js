@@ -0,0 +1,329 @@
+const User = require('../models/User');
+const { sendValidationErrors } = require('../middleware/validation');
+const twoFactor = require('../services/twoFactor');
+const sessions = require('../services/sessions');
+const { sendTwoFactorResetEmail } = require('../services/mail');
+const { sendTokenResponse, clearAuthCookies } = require('./authController');
+
+// @desc    Get 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getStatus = async (req, res) => {
+  try {
+    const enabled = !!(req.user.twoFactor && req.user.twoFactor.enabled);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled,
+        enabledAt: enabled ? req.user.twoFactor.enabledAt : null,
+        recoveryCodesRemaining: enabled ? await twoFactor.getRecoveryCodesRemaining(req.user._id) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Start 2FA enrolment (secret, otpauth URI and QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setup = async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const data = await twoFactor.beginSetup(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enable = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.enable(req.user._id, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code or no setup in progress'
+      });
+    }
+
+    // Sign out other devices; they signed in without a second factor
+    await sessions.revokeAllSessions(req.user._id, 'signed_out_everywhere', req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Turn off 2FA (password plus a code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disable = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.matchPassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const method = await twoFactor.verifyUserCode(user._id, req.body);
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await twoFactor.disable(user._id);
+    await twoFactor.notifyDisabled(user._id, 'Two-factor authentication was turned off for your account.');
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace recovery codes (requires a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const method = await twoFactor.verifyUserCode(req.user._id, { code: req.body.code });
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Complete login with the challenge token and a code or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token from login)
+const verifyLogin = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = twoFactor.verifyChallengeToken(req.body.challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive || (user.suspension && user.suspension.isSuspended)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired, please log in again'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to multiple failed login attempts'
+      });
+    }
+
+    const method = await twoFactor.verifyUserCode(user._id, req.body);
+
+    if (!method) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.incLoginAttempts();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (user.loginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Request a reset link when the authenticator and recovery codes are lost
+// @route   POST /api/auth/2fa/reset-request
+// @access  Public
+const requestReset = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await User.findByEmail(req.body.email).select('+password');
+
+    // Same answer for unknown emails and wrong passwords
+    if (!user || !(await user.matchPassword(req.body.password))) {
+      if (user) await user.incLoginAttempts();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const token = await twoFactor.createResetToken(user._id);
+    const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/2fa/reset/${token}`;
+
+    await sendTwoFactorResetEmail(user, resetUrl);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor reset email sent',
+      resetToken: process.env.NODE_ENV === 'development' ? token : undefined
+    });
+  } catch (error) {
+    console.error('2FA reset request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email could not be sent'
+    });
+  }
+};
+
+// @desc    Turn off 2FA using an emailed reset link
+// @route   PUT /api/auth/2fa/reset/:token
+// @access  Public
+const confirmReset = async (req, res) => {
+  try {
+    const user = await twoFactor.findByResetToken(req.params.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    await twoFactor.disable(user._id);
+    await sessions.revokeAllSessions(user._id, 'signed_out_everywhere');
+    await twoFactor.notifyDisabled(user._id, 'Two-factor authentication was turned off using an emailed reset link. If this wasn\'t you, change your password now.');
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication has been turned off. Please log in again.'
+    });
+  } catch (error) {
+    console.error('2FA reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting two-factor authentication'
+    });
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  verifyLogin,
+  requestReset,
+  confirmReset
+};
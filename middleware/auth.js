@@ -1,19 +1,61 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
+
+// Extract JWT from Authorization header or cookie
+const getTokenFromRequest = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  // Check for token in cookies (for web app)
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+  return null;
+};
+
+// Resolve the user behind a JWT and apply session and account status checks
+// Throws on invalid/expired tokens; returns { user, sessionId } or { statusCode, message }
+const verifyTokenUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens are only valid while their session hasn't been revoked
+  if (!(await isSessionActive(decoded.sid))) {
+    return { statusCode: 401, message: 'Session has expired, please log in again' };
+  }
+
+  // Get user from database
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { statusCode: 401, message: 'User not found' };
+  }
+
+  // Check if an admin has suspended the account
+  if (user.suspension && user.suspension.isSuspended) {
+    return { statusCode: 403, message: 'Account has been suspended' };
+  }
+
+  // Check if user is active
+  if (!user.isActive) {
+    return { statusCode: 401, message: 'Account has been deactivated' };
+  }
+
+  // Check if account is locked
+  if (user.isLocked) {
+    return {
+      statusCode: 423,
+      message: 'Account is temporarily locked due to multiple failed login attempts'
+    };
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 // Verify JWT token and protect routes
 const protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
-    // Check for token in cookies (for web app)
-    else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    const token = getTokenFromRequest(req);
 
     // Check if token exists
     if (!token) {
@@ -24,32 +66,12 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from database
-      const user = await User.findById(decoded.id).select('-password');
+      const { user, sessionId, statusCode, message } = await verifyTokenUser(token);
 
       if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
-      // Check if user is active
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account has been deactivated'
-        });
-      }
-
-      // Check if account is locked
-      if (user.isLocked) {
-        return res.status(423).json({
+        return res.status(statusCode).json({
           success: false,
-          message: 'Account is temporarily locked due to multiple failed login attempts'
+          message
         });
       }
 
@@ -61,8 +83,9 @@ const protect = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Add user and session to request object
       req.user = user;
+      req.sessionId = sessionId;
       next();
 
     } catch (error) {
@@ -312,21 +335,15 @@ const authRateLimit = (req, res, next) => {
 // Optional authentication (for public routes that benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    const token = getTokenFromRequest(req);
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const { user, sessionId } = await verifyTokenUser(token);
         
-        if (user && user.isActive && !user.isLocked) {
+        if (user) {
           req.user = user;
+          req.sessionId = sessionId;
         }
       } catch (error) {
         // Silently ignore invalid tokens for optional auth
@@ -341,7 +358,7 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Admin access middleware (for future admin features)
+// Admin access middleware
 const requireAdmin = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
@@ -361,6 +378,8 @@ const requireAdmin = (req, res, next) => {
 };
 
 module.exports = {
+  getTokenFromRequest,
+  verifyTokenUser,
   protect,
   authorize,
   requireCompleteArtistProfile,
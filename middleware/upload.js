@@ -0,0 +1,45 @@
+const multer = require('multer');
+const path = require('path');
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = ['image', 'images'].includes(file.fieldname) ? 'uploads/images' : 'uploads/documents';
+    cb(null, uploadPath);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = process.env.ALLOWED_FILE_TYPES ? 
+    process.env.ALLOWED_FILE_TYPES.split(',') : 
+    ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'application/pdf'];
+  
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type'), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
+  },
+  fileFilter: fileFilter
+});
+
+// Path on disk of a file served from /uploads/images/, or null for any other URL
+const imagePathFromUrl = (url) => {
+  const match = typeof url === 'string' && url.match(/^\/uploads\/images\/(\w[\w.-]*)$/);
+  return match ? path.join('uploads/images', match[1]) : null;
+};
+
+module.exports = {
+  upload,
+  imagePathFromUrl
+};
@@ -0,0 +1,21 @@
+const { validationResult } = require('express-validator');
+
+// Reply 400 with the express-validator errors for the request, if there are any
+// Returns true when it replied, so handlers can `if (sendValidationErrors(req, res)) return;`
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+module.exports = {
+  sendValidationErrors
+};
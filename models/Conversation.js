@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Sorted participant IDs joined with '_' (matches Message.conversationKey)
+  conversationKey: {
+    type: String,
+    required: [true, 'Conversation key is required'],
+    unique: true
+  },
+
+  // Conversation participants
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    userType: {
+      type: String,
+      enum: ['client', 'artist', 'admin']
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastReadAt: Date,
+    unreadCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  type: {
+    type: String,
+    enum: ['direct', 'proposal', 'job', 'support'],
+    default: 'direct'
+  },
+  relatedJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  relatedProposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+
+  // Snapshot of the most recent message
+  lastMessage: {
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    contentType: String,
+    text: String,
+    sentAt: Date
+  },
+
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+conversationSchema.index({ 'participants.user': 1, lastActivityAt: -1 });
+conversationSchema.index({ relatedJob: 1 });
+conversationSchema.index({ relatedProposal: 1 });
+
+// Static method to build a conversation key from participant IDs
+conversationSchema.statics.buildKey = function(userIds) {
+  return userIds.map(id => id.toString()).sort().join('_');
+};
+
+// Static method to find or create the conversation for a set of participants
+conversationSchema.statics.findOrCreate = async function(userIds, details = {}) {
+  const conversationKey = this.buildKey(userIds);
+
+  let conversation = await this.findOne({ conversationKey });
+  if (conversation) return conversation;
+
+  const User = require('./User');
+  const users = await User.find({ _id: { $in: userIds } }).select('userType');
+
+  try {
+    conversation = await this.create({
+      conversationKey,
+      participants: users.map(user => ({
+        user: user._id,
+        userType: user.userType
+      })),
+      type: details.type || 'direct',
+      relatedJob: details.relatedJob,
+      relatedProposal: details.relatedProposal
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return this.findOne({ conversationKey });
+    }
+    throw error;
+  }
+
+  return conversation;
+};
+
+// Static method to record a new message against its conversation
+conversationSchema.statics.recordMessage = async function(message) {
+  const details = message.conversation || {};
+  const conversation = await this.findOrCreate([message.sender, message.recipient], details);
+
+  const update = {
+    $set: {
+      lastMessage: {
+        message: message._id,
+        sender: message.sender,
+        contentType: message.content.type,
+        text: message.content.text,
+        sentAt: message.createdAt
+      },
+      lastActivityAt: message.createdAt
+    },
+    $inc: { messageCount: 1 }
+  };
+
+  if (details.relatedJob) update.$set.relatedJob = details.relatedJob;
+  if (details.relatedProposal) update.$set.relatedProposal = details.relatedProposal;
+
+  const options = {};
+
+  // System and already-read messages don't count towards unread totals
+  if (message.status !== 'read') {
+    update.$inc['participants.$[other].unreadCount'] = 1;
+    options.arrayFilters = [{ 'other.user': { $ne: message.sender } }];
+  }
+
+  return this.updateOne({ _id: conversation._id }, update, options);
+};
+
+// Static method to bump last activity without a new message
+conversationSchema.statics.updateLastActivity = function(conversationKey) {
+  return this.updateOne({ conversationKey }, { lastActivityAt: new Date() });
+};
+
+// Static method to reset a participant's unread counter
+conversationSchema.statics.markAsRead = function(conversationKey, userId) {
+  return this.updateOne(
+    { conversationKey, 'participants.user': userId },
+    {
+      $set: {
+        'participants.$.unreadCount': 0,
+        'participants.$.lastReadAt': new Date()
+      }
+    }
+  );
+};
+
+// Static method to find conversations for a user
+conversationSchema.statics.findForUser = function(userId) {
+  return this.find({
+    'participants.user': userId,
+    messageCount: { $gt: 0 }
+  })
+    .populate('participants.user', 'firstName lastName profileImage userType')
+    .populate('relatedJob', 'title status')
+    .sort({ lastActivityAt: -1 });
+};
+
+// Static method to rebuild conversations from existing messages
+conversationSchema.statics.rebuildFromMessages = async function() {
+  const Message = mongoose.model('Message');
+
+  await this.deleteMany({});
+
+  const cursor = Message.find({ 'metadata.isDeleted': { $ne: true } })
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  let processed = 0;
+  for await (const message of cursor) {
+    await this.recordMessage(message);
+    processed++;
+  }
+
+  return processed;
+};
+
+// Method to get the participant entry for a user
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => {
+    const id = p.user._id || p.user;
+    return id.toString() === userId.toString();
+  });
+};
+
+// Method to summarise the conversation from one participant's point of view
+conversationSchema.methods.toSummary = function(userId) {
+  const self = this.getParticipant(userId);
+  const other = this.participants.find(p => p !== self);
+  const otherUser = other ? other.user : null;
+
+  return {
+    _id: otherUser ? otherUser._id || otherUser : null,
+    conversationId: this._id,
+    conversationKey: this.conversationKey,
+    type: this.type,
+    relatedJob: this.relatedJob,
+    relatedProposal: this.relatedProposal,
+    otherUser,
+    lastMessage: this.lastMessage,
+    unreadCount: self ? self.unreadCount : 0,
+    lastReadAt: self ? self.lastReadAt : null,
+    lastActivityAt: this.lastActivityAt
+  };
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
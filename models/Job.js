@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { applyGeoLocation } = require('../utils/geo');
+const { lookupPostcode } = require('../utils/postcodes');
+const { SEARCH_WEIGHTS, textIndexFields, escapeRegex } = require('../utils/search');
+const { durationToMinutes, addMinutes } = require('../utils/time');
 
 const jobSchema = new mongoose.Schema({
   // Basic Job Information
@@ -92,6 +96,10 @@ const jobSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    },
     isVenue: {
       type: Boolean,
       default: false
@@ -199,6 +207,63 @@ const jobSchema = new mongoose.Schema({
     enum: ['draft', 'open', 'in_review', 'assigned', 'in_progress', 'completed', 'cancelled', 'expired'],
     default: 'open'
   },
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorType: {
+      type: String,
+      enum: ['client', 'artist', 'system']
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorType: {
+      type: String,
+      enum: ['client', 'artist', 'system']
+    },
+    cancelledAt: Date
+  },
+  startedAt: Date,
+  completedAt: Date,
+  
+  // Set by the scheduled lifecycle tasks so each message goes out once
+  reminders: {
+    eventReminderSentAt: Date
+  },
+  
+  // Booking payment summary (kept in sync with the Payment ledger)
+  payment: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'deposit_requested', 'deposit_paid', 'balance_requested', 'paid', 'partially_refunded', 'refunded'],
+      default: 'unpaid'
+    },
+    totalPrice: Number,
+    currency: String,
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0
+    },
+    balanceDue: Number,
+    balanceDueAt: Date
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -271,11 +336,38 @@ const jobSchema = new mongoose.Schema({
   }],
   
   // Visibility and Promotion
+  // private: unlisted, invited_only: listed to invited artists; both take proposals from invited artists only
   visibility: {
     type: String,
     enum: ['public', 'private', 'invited_only'],
     default: 'public'
   },
+  invitations: [{
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: String,
+      maxlength: [500, 'Invitation message cannot exceed 500 characters']
+    },
+    // Direct booking requests are created together with the job
+    isDirectBooking: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'applied', 'declined'],
+      default: 'pending'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: Date
+  }],
   featured: {
     type: Boolean,
     default: false
@@ -313,11 +405,25 @@ const jobSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Allowed status transitions (anything not listed is rejected)
+const STATUS_TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['in_review', 'assigned', 'cancelled', 'expired'],
+  in_review: ['open', 'assigned', 'cancelled', 'expired'],
+  assigned: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  expired: []
+};
+
 // Indexes for performance
 jobSchema.index({ status: 1 });
 jobSchema.index({ category: 1 });
+jobSchema.index({ 'invitations.artist': 1, status: 1 });
 jobSchema.index({ 'eventDetails.eventDate': 1 });
 jobSchema.index({ 'location.city': 1 });
+jobSchema.index({ 'location.geo': '2dsphere' });
 jobSchema.index({ client: 1 });
 jobSchema.index({ assignedArtist: 1 });
 jobSchema.index({ createdAt: -1 });
@@ -327,6 +433,13 @@ jobSchema.index({ 'budget.min': 1, 'budget.max': 1 });
 jobSchema.index({ status: 1, 'eventDetails.eventDate': 1 });
 jobSchema.index({ category: 1, 'location.city': 1 });
 
+// Full-text search (`q`) over the job's wording
+jobSchema.index(textIndexFields(SEARCH_WEIGHTS.job), {
+  name: 'job_text_search',
+  weights: SEARCH_WEIGHTS.job,
+  default_language: 'english'
+});
+
 // Virtual for applications count
 jobSchema.virtual('applicationsCount').get(function() {
   return this.applications.received ? this.applications.received.length : 0;
@@ -368,6 +481,13 @@ jobSchema.pre('save', function(next) {
     this.applicationDeadline = new Date(this.eventDetails.eventDate.getTime() - (7 * 24 * 60 * 60 * 1000));
   }
   
+  // Keep the GeoJSON location in sync with coordinates/postcode
+  if (this.isModified('location') || !(this.location.geo && this.location.geo.type)) {
+    applyGeoLocation(this.location, {
+      refreshFromPostcode: this.isModified('location.postalCode') && !this.isModified('location.coordinates')
+    });
+  }
+  
   // Auto-expire if past event date
   if (this.eventDetails.eventDate < new Date() && this.status === 'open') {
     this.status = 'expired';
@@ -390,13 +510,26 @@ jobSchema.statics.findAvailable = function(filters = {}) {
     .sort({ priority: -1, createdAt: -1 });
 };
 
-// Static method to find jobs by location
-jobSchema.statics.findByLocation = function(city, radius = 50) {
-  return this.find({
+// Static method to find jobs by location: within radius km of a known postcode,
+// otherwise those whose city contains the text (radius doesn't apply then)
+jobSchema.statics.findByLocation = function(location, radius = 50) {
+  const query = {
     status: 'open',
-    'location.city': new RegExp(city, 'i'),
     'applications.acceptingApplications': true
-  });
+  };
+  
+  const point = lookupPostcode(location);
+  if (point) {
+    query['location.geo'] = {
+      $geoWithin: {
+        $centerSphere: [[point.longitude, point.latitude], radius / 6371]
+      }
+    };
+  } else {
+    query['location.city'] = new RegExp(escapeRegex(location.trim()), 'i');
+  }
+  
+  return this.find(query);
 };
 
 // Method to add view
@@ -410,6 +543,162 @@ jobSchema.methods.addView = function(artistId = null) {
 };
 
 
+// Method to get the event's time range, optionally using a proposal's duration and start time
+jobSchema.methods.getEventSlot = function(duration = null, startTime = null) {
+  const minutes = durationToMinutes(duration && duration.value ? duration : {
+    value: this.eventDetails.duration.estimated,
+    unit: this.eventDetails.duration.unit
+  });
+  const start = startTime || this.eventDetails.eventTime;
+  
+  return {
+    date: this.eventDetails.eventDate,
+    startTime: start,
+    endTime: addMinutes(start, minutes)
+  };
+};
+
+// Method to check if a status transition is allowed
+jobSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the job to a new status and record it in the history
+// options: { actor, actorType, reason, set } - `set` holds extra fields to update
+jobSchema.methods.transitionTo = async function(status, options = {}) {
+  const { actor = null, actorType = 'system', reason, set = {} } = options;
+
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change job status from '${this.status}' to '${status}'`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const fields = { ...set, status };
+
+  if (status === 'in_progress') fields.startedAt = now;
+  if (status === 'completed') fields.completedAt = now;
+  if (['assigned', 'in_progress', 'completed', 'cancelled', 'expired'].includes(status)) {
+    fields['applications.acceptingApplications'] = false;
+  }
+  if (status === 'cancelled') {
+    fields.cancellation = {
+      reason,
+      cancelledBy: actor,
+      actorType,
+      cancelledAt: now
+    };
+  }
+
+  // Atomic update guarded on the current status so concurrent transitions can't both win
+  const updated = await this.model('Job').findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: fields,
+      $push: {
+        statusHistory: {
+          from: this.status,
+          to: status,
+          changedBy: actor,
+          actorType,
+          reason,
+          changedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const error = new Error('Job status was changed by another request, please refresh and try again');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return updated;
+};
+
+// Method to undo an assignment whose booking couldn't be completed; `this` is the job as loaded
+// before transitionTo('assigned'). Guarded so it only reverts that proposal's assignment
+jobSchema.methods.revertAssignment = async function(proposalId, options = {}) {
+  const { actor = null, actorType = 'system', reason } = options;
+
+  return this.model('Job').findOneAndUpdate(
+    { _id: this._id, status: 'assigned', selectedProposal: proposalId },
+    {
+      $set: {
+        status: this.status,
+        'applications.acceptingApplications': this.applications.acceptingApplications !== false
+      },
+      $unset: { assignedArtist: '', selectedProposal: '' },
+      $push: {
+        statusHistory: {
+          from: 'assigned',
+          to: this.status,
+          changedBy: actor,
+          actorType,
+          reason,
+          changedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to check if an artist has an invitation to the job
+jobSchema.methods.isArtistInvited = function(artistId) {
+  return (this.invitations || []).some(invitation =>
+    invitation.artist.toString() === artistId.toString() && invitation.status !== 'declined'
+  );
+};
+
+// Method to check if a user may see the job (non-public jobs: owner, invited or assigned artist, admins)
+jobSchema.methods.canUserView = function(user) {
+  if (this.visibility === 'public') return true;
+  if (!user) return false;
+  if (user.userType === 'admin') return true;
+  
+  const userId = user._id.toString();
+  const clientId = (this.client._id || this.client).toString();
+  const assignedId = this.assignedArtist && (this.assignedArtist._id || this.assignedArtist).toString();
+  
+  return clientId === userId || assignedId === userId || this.isArtistInvited(user._id);
+};
+
+// Method to invite artists; returns the invitations added (artists already invited are skipped)
+jobSchema.methods.inviteArtists = async function(artistIds, { message, isDirectBooking = false } = {}) {
+  const invited = new Set((this.invitations || []).map(invitation => invitation.artist.toString()));
+  const newIds = [...new Set(artistIds.map(id => id.toString()))].filter(id => !invited.has(id));
+  if (!newIds.length) return [];
+  
+  const now = new Date();
+  const invitations = newIds.map(artist => ({ artist, message, isDirectBooking, status: 'pending', invitedAt: now }));
+  
+  // Guarded so a concurrent invite isn't duplicated
+  const result = await this.model('Job').updateOne(
+    { _id: this._id, 'invitations.artist': { $nin: newIds } },
+    { $push: { invitations: { $each: invitations } } }
+  );
+  
+  if (result.modifiedCount === 0) {
+    const error = new Error('Invitations were changed by another request, please try again');
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  return invitations;
+};
+
+// Method to record an invited artist's response ('applied' or 'declined')
+jobSchema.methods.respondToInvitation = function(artistId, status) {
+  return this.model('Job').updateOne(
+    { _id: this._id, invitations: { $elemMatch: { artist: artistId, status: 'pending' } } },
+    { $set: { 'invitations.$.status': status, 'invitations.$.respondedAt': new Date() } }
+  );
+};
+
 // Method to check if artist can apply
 jobSchema.methods.canArtistApply = function(artistId) {
   if (this.status !== 'open') return false;
@@ -417,6 +706,9 @@ jobSchema.methods.canArtistApply = function(artistId) {
   if (this.applicationDeadline < new Date()) return false;
   if ((this.applications.received || []).length >= this.applications.maxApplications) return false;
   
+  // Private and invite-only jobs take proposals from invited artists only
+  if (this.visibility !== 'public' && !this.isArtistInvited(artistId)) return false;
+  
   // Check if artist already applied
   return !(this.applications.received || []).includes(artistId);
 };
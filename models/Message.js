@@ -11,7 +11,7 @@ const messageSchema = new mongoose.Schema({
       },
       userType: {
         type: String,
-        enum: ['client', 'artist'],
+        enum: ['client', 'artist', 'admin'],
         required: true
       },
       joinedAt: {
@@ -217,12 +217,18 @@ messageSchema.virtual('isUnreadBy').get(function() {
 
 // Virtual for conversation key (sorted participant IDs)
 messageSchema.virtual('conversationKey').get(function() {
-  const participants = this.conversation.participants.map(p => p.user.toString()).sort();
-  return participants.join('_');
+  // Direct messages don't carry participants, so fall back to sender/recipient
+  const participants = this.conversation.participants.length > 0
+    ? this.conversation.participants.map(p => p.user.toString())
+    : [this.sender.toString(), this.recipient.toString()];
+  return participants.sort().join('_');
 });
 
 // Pre-save middleware
 messageSchema.pre('save', function(next) {
+  // Remember whether this is a new message for the post-save hook
+  this.$locals.wasNew = this.isNew;
+  
   // Set delivery time for sent messages
   if (this.status === 'sent' && !this.analytics.deliveredAt) {
     this.analytics.deliveredAt = new Date();
@@ -241,11 +247,17 @@ messageSchema.pre('save', function(next) {
 // Post-save middleware for notifications
 messageSchema.post('save', async function(doc) {
   try {
-    // Update conversation last activity
-    await mongoose.model('Conversation').updateLastActivity(doc.conversationKey);
+    const Conversation = require('./Conversation');
     
-    // Send push notification to recipient (implement later)
-    // await notificationService.sendPushNotification(doc.recipient, doc);
+    // Update conversation snapshot and unread counters
+    if (doc.$locals.wasNew) {
+      await Conversation.recordMessage(doc);
+      
+      // Push to connected participants over WebSocket
+      require('../services/realtime').emitNewMessage(doc);
+    } else {
+      await Conversation.updateLastActivity(doc.conversationKey);
+    }
   } catch (error) {
     console.error('Error in message post-save:', error);
   }
@@ -271,61 +283,6 @@ messageSchema.statics.findConversation = function(userId1, userId2, populate = t
   return result;
 };
 
-// Static method to find conversations for a user
-messageSchema.statics.findUserConversations = function(userId) {
-  return this.aggregate([
-    {
-      $match: {
-        $or: [{ sender: mongoose.Types.ObjectId(userId) }, { recipient: mongoose.Types.ObjectId(userId) }],
-        'metadata.isDeleted': { $ne: true }
-      }
-    },
-    {
-      $sort: { createdAt: -1 }
-    },
-    {
-      $group: {
-        _id: {
-          $cond: [
-            { $eq: ['$sender', mongoose.Types.ObjectId(userId)] },
-            '$recipient',
-            '$sender'
-          ]
-        },
-        lastMessage: { $first: '$$ROOT' },
-        unreadCount: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$sender', mongoose.Types.ObjectId(userId)] },
-                  { $ne: ['$status', 'read'] }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        }
-      }
-    },
-    {
-      $lookup: {
-        from: 'users',
-        localField: '_id',
-        foreignField: '_id',
-        as: 'otherUser'
-      }
-    },
-    {
-      $unwind: '$otherUser'
-    },
-    {
-      $sort: { 'lastMessage.createdAt': -1 }
-    }
-  ]);
-};
-
 // Static method to mark messages as read
 messageSchema.statics.markAsRead = function(conversationParticipants, readerId) {
   return this.updateMany(
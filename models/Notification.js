@@ -14,12 +14,24 @@ const notificationSchema = new mongoose.Schema({
     required: [true, 'Notification type is required'],
     enum: [
       'new_job_posted',
+      'job_alert',
+      'job_alert_digest',
+      'job_invitation',
       'proposal_accepted',
       'proposal_declined',
+      'proposal_negotiation',
+      'proposal_revised',
       'job_assigned',
+      'job_started',
       'job_completed',
+      'job_cancelled',
+      'job_expired',
+      'event_reminder',
+      'review_request',
       'message_received',
+      'payment_requested',
       'payment_received',
+      'payment_refunded',
       'review_received',
       'profile_viewed',
       'system_announcement'
@@ -64,6 +76,18 @@ const notificationSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Job match details (new_job_posted only)
+  matchScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  
+  matchDetails: {
+    distanceKm: Number,
+    matchedSpecialties: [String]
+  },
+  
   // Action URL for frontend navigation
   actionUrl: {
     type: String
@@ -95,6 +119,15 @@ const notificationSchema = new mongoose.Schema({
     type: Date
   },
   
+  emailAttempts: {
+    type: Number,
+    default: 0
+  },
+  
+  emailError: {
+    type: String
+  },
+  
   // Priority
   priority: {
     type: String,
@@ -119,6 +152,7 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ recipient: 1, createdAt: -1 });
 notificationSchema.index({ recipient: 1, read: 1 });
 notificationSchema.index({ type: 1 });
+notificationSchema.index({ 'deliveryMethods.email': 1, emailSent: 1, createdAt: 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Virtual for time since created
@@ -142,31 +176,35 @@ notificationSchema.methods.markAsRead = function() {
   return this.save();
 };
 
-// Static method to create new job notification for all artists
-notificationSchema.statics.notifyArtistsOfNewJob = async function(job) {
+// Static method to notify matching artists about a new job
+// `exclude` skips artists who already heard about it (e.g. through a saved search alert)
+notificationSchema.statics.notifyArtistsOfNewJob = async function(job, { exclude = [] } = {}) {
   try {
-    const User = require('./User');
+    const { findMatchingArtists } = require('../services/jobMatching');
+    const excluded = new Set(exclude.map(id => id.toString()));
     
-    // Get all active artists
-    const artists = await User.find({
-      userType: 'artist',
-      isActive: true,
-      'notificationPreferences.newJobs': true
-    }).select('_id notificationPreferences');
+    // Artists whose specialties, travel radius and calendar fit the job
+    const matches = (await findMatchingArtists(job))
+      .filter(({ artist }) => !excluded.has(artist._id.toString()));
     
-    if (artists.length === 0) {
-      console.log('No artists found to notify');
+    if (matches.length === 0) {
+      console.log('No matching artists found to notify');
       return [];
     }
     
     // Create notifications for each artist
-    const notifications = artists.map(artist => ({
+    const notifications = matches.map(({ artist, match }) => ({
       recipient: artist._id,
       type: 'new_job_posted',
       title: `New ${job.category} job available`,
       message: `A new ${job.category} job for ${job.eventDetails.eventType} has been posted in ${job.location.city}. Budget: ${job.budget.currency} ${job.budget.min}-${job.budget.max}`,
       relatedJob: job._id,
       actionUrl: `/jobs/${job._id}`,
+      matchScore: match.score,
+      matchDetails: {
+        distanceKm: match.distanceKm,
+        matchedSpecialties: match.matchedSpecialties
+      },
       deliveryMethods: {
         inApp: true,
         email: artist.notificationPreferences?.email?.newJobs || false
@@ -186,6 +224,135 @@ notificationSchema.statics.notifyArtistsOfNewJob = async function(job) {
   }
 };
 
+// Static method to tell artists they've been invited to a job (or sent a direct booking request)
+notificationSchema.statics.notifyJobInvitations = async function(job, artistIds, { isDirectBooking = false } = {}) {
+  const User = require('./User');
+  
+  const artists = await User.find({ _id: { $in: artistIds } }).select('notificationPreferences');
+  const clientName = job.client && job.client.firstName ? job.client.firstName : 'A client';
+  
+  if (!artists.length) return [];
+  
+  return this.insertMany(artists.map(artist => ({
+    recipient: artist._id,
+    type: 'job_invitation',
+    title: isDirectBooking ? 'New booking request' : 'You have been invited to a job',
+    message: isDirectBooking
+      ? `${clientName} would like to book you for "${job.title}" on ${job.eventDetails.eventDate.toDateString()}`
+      : `${clientName} invited you to send a proposal for "${job.title}"`,
+    relatedJob: job._id,
+    relatedUser: job.client._id || job.client,
+    actionUrl: `/jobs/${job._id}`,
+    deliveryMethods: {
+      inApp: true,
+      email: artist.notificationPreferences?.email?.proposals !== false
+    },
+    priority: isDirectBooking ? 'high' : 'medium'
+  })));
+};
+
+// Static method to tell an artist their proposal was accepted or declined
+notificationSchema.statics.notifyProposalResponse = async function(proposal, job, accepted) {
+  const User = require('./User');
+  
+  const artistId = proposal.artist._id || proposal.artist;
+  const artist = await User.findById(artistId).select('notificationPreferences');
+  if (!artist || artist.notificationPreferences?.proposals === false) {
+    return null;
+  }
+  
+  return this.create({
+    recipient: artistId,
+    type: accepted ? 'proposal_accepted' : 'proposal_declined',
+    title: accepted ? 'Proposal accepted' : 'Proposal declined',
+    message: accepted
+      ? `Your proposal for "${job.title}" has been accepted`
+      : `Your proposal for "${job.title}" was not selected`,
+    relatedJob: job._id,
+    relatedProposal: proposal._id,
+    relatedUser: job.client._id || job.client,
+    actionUrl: `/jobs/${job._id}`,
+    deliveryMethods: {
+      inApp: true,
+      email: artist.notificationPreferences?.email?.proposals !== false
+    },
+    priority: accepted ? 'high' : 'medium'
+  });
+};
+
+// Static method to tell a job owner that a proposal they've read has been revised
+notificationSchema.statics.notifyProposalRevised = async function(proposal, job, revision) {
+  const User = require('./User');
+  
+  const clientId = job.client._id || job.client;
+  const client = await User.findById(clientId).select('notificationPreferences');
+  if (!client || client.notificationPreferences?.proposals === false) {
+    return null;
+  }
+  
+  const changed = revision.changes.map(change => change.field.split('.').pop());
+  
+  return this.create({
+    recipient: clientId,
+    type: 'proposal_revised',
+    title: 'Proposal updated',
+    message: `A proposal for "${job.title}" was revised (${changed.join(', ')})`.substring(0, 500),
+    relatedJob: job._id,
+    relatedProposal: proposal._id,
+    relatedUser: proposal.artist._id || proposal.artist,
+    actionUrl: `/jobs/${job._id}`,
+    deliveryMethods: {
+      inApp: true,
+      email: client.notificationPreferences?.email?.proposals !== false
+    },
+    priority: 'medium'
+  });
+};
+
+// Static method to tell the other party about a counter-offer or a response to one
+// event: 'countered' | 'accepted' | 'declined'
+notificationSchema.statics.notifyNegotiation = async function(proposal, job, round, event) {
+  const User = require('./User');
+  
+  // Counters go to the other side; responses go back to whoever made the offer
+  const fromClient = round.proposedByType === 'client';
+  const toClient = event === 'countered' ? !fromClient : fromClient;
+  const recipientId = toClient ? (job.client._id || job.client) : (proposal.artist._id || proposal.artist);
+  const senderId = toClient ? (proposal.artist._id || proposal.artist) : (job.client._id || job.client);
+  
+  const recipient = await User.findById(recipientId).select('notificationPreferences');
+  if (!recipient || recipient.notificationPreferences?.proposals === false) {
+    return null;
+  }
+  
+  const titles = {
+    countered: 'New counter-offer',
+    accepted: 'Counter-offer accepted',
+    declined: 'Counter-offer declined'
+  };
+  const messages = {
+    countered: `You have a new counter-offer of ${proposal.pricing.currency} ${round.totalPrice} for "${job.title}"`,
+    accepted: `Your counter-offer for "${job.title}" was accepted`,
+    declined: `Your counter-offer for "${job.title}" was declined`
+  };
+  
+  return this.create({
+    recipient: recipientId,
+    type: 'proposal_negotiation',
+    title: titles[event],
+    message: messages[event],
+    relatedJob: job._id,
+    relatedProposal: proposal._id,
+    relatedUser: senderId,
+    actionUrl: `/jobs/${job._id}`,
+    deliveryMethods: {
+      inApp: true,
+      email: recipient.notificationPreferences?.email?.proposals !== false
+    },
+    priority: event === 'declined' ? 'medium' : 'high'
+  });
+};
+
 // Static method to get unread count for user
 notificationSchema.statics.getUnreadCount = function(userId) {
   return this.countDocuments({
@@ -203,4 +370,18 @@ notificationSchema.statics.markAllAsRead = function(userId) {
   );
 };
 
+// Static method to tell someone the review they received is now visible (review.job populated with title)
+notificationSchema.statics.notifyReviewRevealed = function(review) {
+  return this.create({
+    recipient: review.reviewee,
+    type: 'review_received',
+    title: 'You have a new review',
+    message: `The review you received for "${review.job.title}" is now visible`,
+    relatedJob: review.job._id,
+    relatedUser: review.reviewer,
+    actionUrl: `/jobs/${review.job._id}/reviews`,
+    deliveryMethods: { inApp: true, email: true }
+  });
+};
+
 module.exports = mongoose.model('Notification', notificationSchema); 
\ No newline at end of file
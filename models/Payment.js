@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  // Booking this payment belongs to
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job reference is required']
+  },
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: [true, 'Proposal reference is required']
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Client is required']
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Artist is required']
+  },
+
+  // Money movement
+  type: {
+    type: String,
+    enum: ['deposit', 'balance', 'refund'],
+    required: [true, 'Payment type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    default: 'GBP',
+    enum: ['GBP', 'EUR', 'USD']
+  },
+  description: String,
+  dueDate: Date,
+
+  status: {
+    type: String,
+    enum: ['requested', 'pending', 'succeeded', 'failed', 'cancelled'],
+    default: 'requested'
+  },
+
+  // Provider details
+  provider: {
+    type: String,
+    default: 'fake'
+  },
+  providerReference: String,
+  checkoutUrl: String,
+
+  // Refund details
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refundReason: String,
+  // On charges: total of their pending and succeeded refunds, claimed before each refund is made
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String,
+
+  // Audit trail of status changes (API calls and provider callbacks)
+  events: [{
+    status: String,
+    source: {
+      type: String,
+      enum: ['api', 'webhook', 'system']
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+paymentSchema.index({ job: 1, createdAt: 1 });
+paymentSchema.index({ client: 1, status: 1 });
+paymentSchema.index({ artist: 1, status: 1 });
+paymentSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+// Virtual for charge vs refund
+paymentSchema.virtual('isCharge').get(function() {
+  return this.type !== 'refund';
+});
+
+// Virtual for overdue status
+paymentSchema.virtual('isOverdue').get(function() {
+  return !!(this.dueDate && ['requested', 'failed'].includes(this.status) && this.dueDate < new Date());
+});
+
+// Static method to get the ledger for a job
+paymentSchema.statics.getJobLedger = function(jobId) {
+  return this.find({ job: jobId }).sort({ createdAt: 1 });
+};
+
+// Static method to total up a job's payments
+paymentSchema.statics.getJobTotals = async function(jobId) {
+  const payments = await this.find({ job: jobId });
+
+  const sum = (filter) => payments.filter(filter).reduce((total, p) => total + p.amount, 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    amountPaid: round(sum(p => p.type !== 'refund' && p.status === 'succeeded')),
+    amountRefunded: round(sum(p => p.type === 'refund' && p.status === 'succeeded')),
+    amountOpen: round(sum(p => p.type !== 'refund' && ['requested', 'pending'].includes(p.status))),
+    depositPaid: payments.some(p => p.type === 'deposit' && p.status === 'succeeded'),
+    openRequests: payments.filter(p => p.type !== 'refund' && ['requested', 'pending'].includes(p.status))
+  };
+};
+
+// Method to record a status change
+paymentSchema.methods.recordEvent = function(status, source = 'api', payload = undefined) {
+  this.status = status;
+  this.events.push({ status, source, payload, at: new Date() });
+
+  if (status === 'succeeded') this.paidAt = new Date();
+  if (status === 'failed') this.failedAt = new Date();
+
+  return this;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,5 +1,73 @@
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// One round of a negotiation; version 1 is always the artist's original terms
+const negotiationRoundSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  proposedByType: {
+    type: String,
+    enum: ['client', 'artist'],
+    required: true
+  },
+  totalPrice: {
+    type: Number,
+    min: [10, 'Total price must be at least £10']
+  },
+  estimatedDuration: {
+    value: Number,
+    unit: {
+      type: String,
+      enum: ['hours', 'days']
+    }
+  },
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Please provide time in HH:MM format']
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'countered', 'accepted', 'declined', 'superseded'],
+    default: 'open'
+  },
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The job owner's private organisation of the proposals they receive (never shown to artists)
+const clientTriageSchema = new mongoose.Schema({
+  shortlisted: {
+    type: Boolean,
+    default: false
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }],
+  updatedAt: Date
+}, { _id: false });
+
 const proposalSchema = new mongoose.Schema({
   // Associated Job and Artist
   job: {
@@ -62,6 +130,11 @@ const proposalSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       }
+    },
+    // Agreed start time when it differs from the job's eventTime (set by negotiation)
+    startTime: {
+      type: String,
+      match: [TIME_PATTERN, 'Please provide time in HH:MM format']
     }
   },
   
@@ -96,6 +169,50 @@ const proposalSchema = new mongoose.Schema({
     }
   },
   
+  // Counter-offers between the client and the artist
+  negotiation: {
+    currentVersion: {
+      type: Number,
+      default: 0
+    },
+    agreedVersion: Number,
+    rounds: [negotiationRoundSchema]
+  },
+  
+  // How well the proposal fits the job (see services/proposalScoring)
+  // The feedback is for the artist only (select with '+competitiveness.feedback')
+  competitiveness: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    breakdown: {
+      price: Number,
+      specialization: Number,
+      requirements: Number,
+      rating: Number
+    },
+    feedback: {
+      type: [String],
+      select: false
+    },
+    scoredAt: Date
+  },
+  
+  // Shortlist, hide and tag state (select with '+clientTriage')
+  clientTriage: {
+    type: clientTriageSchema,
+    select: false
+  },
+  
+  // Revision history (see ProposalRevision) and when the job owner last read the proposal
+  revision: {
+    type: Number,
+    default: 1
+  },
+  clientViewedAt: Date,
+  
   // Proposal Metadata
   submittedAt: {
     type: Date,
@@ -132,6 +249,8 @@ proposalSchema.index({ job: 1, artist: 1 }, { unique: true }); // One proposal p
 proposalSchema.index({ artist: 1, status: 1 });
 proposalSchema.index({ job: 1, status: 1 });
 proposalSchema.index({ submittedAt: -1 });
+proposalSchema.index({ job: 1, 'clientTriage.shortlisted': 1 });
+proposalSchema.index({ job: 1, 'competitiveness.score': -1 });
 
 // Virtual for formatted pricing
 proposalSchema.virtual('formattedPrice').get(function() {
@@ -154,9 +273,225 @@ proposalSchema.virtual('timeAgo').get(function() {
 // Pre-save middleware
 proposalSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+  
+  // An open counter-offer lapses once the proposal is decided or the artist rewrites their terms
+  const openRound = this.getOpenRound();
+  const decided = this.isModified('status') && this.status !== 'pending';
+  const termsChanged = this.isModified('pricing.totalPrice') || this.isModified('timeline.estimatedDuration');
+  
+  if (openRound && (decided || termsChanged)) {
+    openRound.status = 'superseded';
+    openRound.respondedAt = new Date();
+  }
+  
   next();
 });
 
+const negotiationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameDuration = (a, b) =>
+  (a && a.value) === (b && b.value) && ((a && a.unit) || 'hours') === ((b && b.unit) || 'hours');
+
+// Rounds are rewritten as a whole, guarded on the version so two responses can't both land
+const saveNegotiation = async (proposal, rounds, set = {}) => {
+  const expectedVersion = proposal.negotiation.currentVersion || 0;
+  
+  const updated = await proposal.constructor.findOneAndUpdate(
+    {
+      _id: proposal._id,
+      status: 'pending',
+      'negotiation.currentVersion': expectedVersion || { $in: [0, null] }
+    },
+    {
+      $set: {
+        ...set,
+        'negotiation.rounds': rounds,
+        'negotiation.currentVersion': rounds.length ? rounds[rounds.length - 1].version : 0,
+        updatedAt: new Date()
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  
+  if (!updated) {
+    throw negotiationError('The proposal has changed, please reload it and try again', 409);
+  }
+  
+  return updated;
+};
+
+// Method to get the counter-offer waiting for a response (null if there isn't one)
+proposalSchema.methods.getOpenRound = function() {
+  const rounds = (this.negotiation && this.negotiation.rounds) || [];
+  const last = rounds[rounds.length - 1];
+  return last && last.status === 'open' ? last : null;
+};
+
+// Method to get the terms currently on the table
+proposalSchema.methods.getCurrentTerms = function() {
+  const openRound = this.getOpenRound();
+  if (openRound) {
+    return {
+      totalPrice: openRound.totalPrice,
+      estimatedDuration: openRound.estimatedDuration,
+      startTime: openRound.startTime
+    };
+  }
+  
+  return {
+    totalPrice: this.pricing.totalPrice,
+    estimatedDuration: this.timeline.estimatedDuration,
+    startTime: this.timeline.startTime
+  };
+};
+
+// Method to make a counter-offer; the client opens a negotiation and the parties then alternate
+// Returns the updated proposal
+proposalSchema.methods.counterOffer = async function(userId, userType, terms = {}) {
+  if (this.status !== 'pending') {
+    throw negotiationError('Only pending proposals can be negotiated');
+  }
+  
+  const openRound = this.getOpenRound();
+  
+  if (openRound && openRound.proposedByType === userType) {
+    throw negotiationError('Waiting for the other party to respond to your last offer', 409);
+  }
+  if (!openRound && userType === 'artist') {
+    throw negotiationError('Artists can only counter an offer from the client; edit the proposal to change your terms');
+  }
+  
+  const current = this.getCurrentTerms();
+  const next = {
+    totalPrice: terms.totalPrice !== undefined ? Number(terms.totalPrice) : current.totalPrice,
+    estimatedDuration: terms.estimatedDuration && terms.estimatedDuration.value
+      ? {
+          value: Number(terms.estimatedDuration.value),
+          unit: terms.estimatedDuration.unit || (current.estimatedDuration && current.estimatedDuration.unit) || 'hours'
+        }
+      : current.estimatedDuration,
+    startTime: terms.startTime || current.startTime
+  };
+  
+  if (next.totalPrice === current.totalPrice &&
+      sameDuration(next.estimatedDuration, current.estimatedDuration) &&
+      next.startTime === current.startTime) {
+    throw negotiationError('A counter-offer must change the price, duration or start time');
+  }
+  
+  const now = new Date();
+  const rounds = this.negotiation.rounds.map(round => round.toObject());
+  
+  if (!rounds.length) {
+    rounds.push({
+      version: 1,
+      proposedBy: this.artist._id || this.artist,
+      proposedByType: 'artist',
+      totalPrice: this.pricing.totalPrice,
+      estimatedDuration: this.timeline.estimatedDuration,
+      startTime: this.timeline.startTime,
+      message: 'Original proposal',
+      status: 'countered',
+      respondedAt: now,
+      createdAt: this.submittedAt
+    });
+  } else if (openRound) {
+    rounds[rounds.length - 1].status = 'countered';
+    rounds[rounds.length - 1].respondedAt = now;
+  }
+  
+  rounds.push({
+    version: rounds[rounds.length - 1].version + 1,
+    proposedBy: userId,
+    proposedByType: userType,
+    ...next,
+    message: terms.message || '',
+    status: 'open',
+    createdAt: now
+  });
+  
+  return saveNegotiation(this, rounds);
+};
+
+// Method to agree to the open counter-offer; its terms become the proposal's terms
+// Returns the updated proposal (still pending - booking it is up to the caller)
+proposalSchema.methods.acceptCounterOffer = async function(userType) {
+  const openRound = this.getOpenRound();
+  
+  if (!openRound) {
+    throw negotiationError('There is no counter-offer to accept');
+  }
+  if (openRound.proposedByType === userType) {
+    throw negotiationError('You cannot accept your own offer');
+  }
+  
+  const rounds = this.negotiation.rounds.map(round => round.toObject());
+  const agreed = rounds[rounds.length - 1];
+  agreed.status = 'accepted';
+  agreed.respondedAt = new Date();
+  
+  const set = {
+    'negotiation.agreedVersion': agreed.version,
+    'pricing.totalPrice': agreed.totalPrice,
+    'timeline.estimatedDuration': agreed.estimatedDuration
+  };
+  if (agreed.startTime) set['timeline.startTime'] = agreed.startTime;
+  
+  return saveNegotiation(this, rounds, set);
+};
+
+// Method to undo acceptCounterOffer when booking the agreed terms falls through, putting the
+// counter-offer back on the table; `previous` is the proposal as it was before agreeing
+// Returns false if the proposal has moved on since
+proposalSchema.methods.revertCounterOffer = async function(previous) {
+  const set = {
+    'negotiation.rounds': previous.negotiation.rounds.map(round => round.toObject()),
+    'pricing.totalPrice': previous.pricing.totalPrice,
+    'timeline.estimatedDuration': previous.timeline.estimatedDuration,
+    updatedAt: new Date()
+  };
+  const unset = {};
+  
+  if (previous.negotiation.agreedVersion) set['negotiation.agreedVersion'] = previous.negotiation.agreedVersion;
+  else unset['negotiation.agreedVersion'] = '';
+  if (previous.timeline.startTime) set['timeline.startTime'] = previous.timeline.startTime;
+  else unset['timeline.startTime'] = '';
+  
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      status: 'pending',
+      'negotiation.currentVersion': this.negotiation.currentVersion,
+      'negotiation.agreedVersion': this.negotiation.agreedVersion
+    },
+    { $set: set, $unset: unset }
+  );
+  
+  return result.modifiedCount > 0;
+};
+
+// Method to turn down the open counter-offer; the proposal's own terms stand
+proposalSchema.methods.declineCounterOffer = async function(userType) {
+  const openRound = this.getOpenRound();
+  
+  if (!openRound) {
+    throw negotiationError('There is no counter-offer to decline');
+  }
+  if (openRound.proposedByType === userType) {
+    throw negotiationError('You cannot decline your own offer');
+  }
+  
+  const rounds = this.negotiation.rounds.map(round => round.toObject());
+  rounds[rounds.length - 1].status = 'declined';
+  rounds[rounds.length - 1].respondedAt = new Date();
+  
+  return saveNegotiation(this, rounds);
+};
+
 // Static method to get proposal stats for an artist
 proposalSchema.statics.getArtistStats = async function(artistId) {
   const stats = await this.aggregate([
@@ -189,12 +524,31 @@ proposalSchema.statics.getArtistStats = async function(artistId) {
 proposalSchema.statics.getJobProposals = async function(jobId, options = {}) {
   const query = this.find({ job: jobId })
     .populate('artist', 'firstName lastName profileImage location.city')
-    .sort({ submittedAt: -1 });
+    .sort(options.sort === 'score'
+      ? { 'competitiveness.score': -1, submittedAt: -1 }
+      : { submittedAt: -1 });
   
   if (options.status) {
     query.where('status', options.status);
   }
   
+  // Job owner's triage filters; hidden proposals are left out unless asked for
+  if (options.withTriage) {
+    query.select('+clientTriage');
+    
+    if (options.shortlisted) {
+      query.where('clientTriage.shortlisted', true);
+    }
+    if (options.tag) {
+      query.where('clientTriage.tags', options.tag.trim().toLowerCase());
+    }
+    if (options.hidden === 'only') {
+      query.where('clientTriage.hidden', true);
+    } else if (options.hidden !== 'all') {
+      query.where('clientTriage.hidden').ne(true);
+    }
+  }
+  
   if (options.limit) {
     query.limit(options.limit);
   }
@@ -202,25 +556,47 @@ proposalSchema.statics.getJobProposals = async function(jobId, options = {}) {
   return query.exec();
 };
 
+// Method to record that the job owner has read the proposal
+proposalSchema.methods.markViewedByClient = function() {
+  // Update just this field, so marking it viewed can't overwrite the artist's concurrent edits
+  return this.model('Proposal').updateOne({ _id: this._id }, { $set: { clientViewedAt: new Date() } });
+};
+
 // Instance method to accept proposal
 proposalSchema.methods.accept = async function(clientId) {
+  const now = new Date();
+  
+  // Accept this proposal first, and only while it's still pending, so a failure leaves the others alone
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'pending' },
+    {
+      $set: {
+        status: 'accepted',
+        'clientResponse.respondedAt': now,
+        'clientResponse.respondedBy': clientId
+      }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    throw negotiationError('This proposal is no longer pending', 409);
+  }
+  
+  this.status = 'accepted';
+  this.clientResponse.respondedAt = now;
+  this.clientResponse.respondedBy = clientId;
+  
   // Reject all other proposals for this job
   await this.constructor.updateMany(
     { job: this.job, _id: { $ne: this._id } },
     { 
       status: 'rejected',
       'clientResponse.message': 'Another proposal was selected',
-      'clientResponse.respondedAt': new Date(),
+      'clientResponse.respondedAt': now,
       'clientResponse.respondedBy': clientId
     }
   );
   
-  // Accept this proposal
-  this.status = 'accepted';
-  this.clientResponse.respondedAt = new Date();
-  this.clientResponse.respondedBy = clientId;
-  
-  return this.save();
+  return this;
 };
 
 // Instance method to reject proposal
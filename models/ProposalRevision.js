@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+// Fields compared between revisions, in the order changes are listed
+const TRACKED_FIELDS = [
+  'message',
+  'coverLetter',
+  'pricing.totalPrice',
+  'pricing.currency',
+  'pricing.breakdown.basePrice',
+  'pricing.breakdown.additionalCharges',
+  'timeline.estimatedDuration.value',
+  'timeline.estimatedDuration.unit',
+  'timeline.startTime',
+  'timeline.availability.canStartDate',
+  'timeline.availability.flexibleTiming',
+  'terms.paymentTerms',
+  'terms.cancellationPolicy',
+  'terms.additionalNotes'
+];
+
+const proposalRevisionSchema = new mongoose.Schema({
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: [true, 'Proposal reference is required']
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['created', 'edited', 'negotiation'],
+    default: 'edited'
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Copy of the proposal's content at this version
+  snapshot: {
+    message: String,
+    coverLetter: String,
+    pricing: {
+      totalPrice: Number,
+      currency: String,
+      breakdown: {
+        basePrice: Number,
+        additionalCharges: [{
+          _id: false,
+          description: String,
+          amount: Number
+        }]
+      }
+    },
+    timeline: {
+      estimatedDuration: {
+        value: Number,
+        unit: String
+      },
+      startTime: String,
+      availability: {
+        canStartDate: Date,
+        flexibleTiming: Boolean
+      }
+    },
+    terms: {
+      paymentTerms: String,
+      cancellationPolicy: String,
+      additionalNotes: String
+    }
+  },
+
+  // Field-level differences from the previous version
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+proposalRevisionSchema.index({ proposal: 1, version: 1 }, { unique: true });
+
+// Revisions are a permanent record: never edited once written
+const immutableError = () => new Error('Proposal revisions cannot be modified');
+
+proposalRevisionSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : immutableError());
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  proposalRevisionSchema.pre(operation, function(next) {
+    next(immutableError());
+  });
+});
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Comparable form of a value: dates as ISO strings, blanks as null
+const normalise = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return value.length ? value.map(item => ({ description: item.description, amount: item.amount })) : null;
+  }
+  if (value === undefined || value === '') return null;
+  return value;
+};
+
+// Plain copy of the tracked parts of a proposal
+const snapshotOf = (proposal) => {
+  const source = typeof proposal.toObject === 'function' ? proposal.toObject() : proposal;
+
+  return {
+    message: source.message,
+    coverLetter: source.coverLetter,
+    pricing: {
+      totalPrice: getPath(source, 'pricing.totalPrice'),
+      currency: getPath(source, 'pricing.currency'),
+      breakdown: {
+        basePrice: getPath(source, 'pricing.breakdown.basePrice'),
+        additionalCharges: (getPath(source, 'pricing.breakdown.additionalCharges') || [])
+          .map(({ description, amount }) => ({ description, amount }))
+      }
+    },
+    timeline: {
+      estimatedDuration: {
+        value: getPath(source, 'timeline.estimatedDuration.value'),
+        unit: getPath(source, 'timeline.estimatedDuration.unit')
+      },
+      startTime: getPath(source, 'timeline.startTime'),
+      availability: {
+        canStartDate: getPath(source, 'timeline.availability.canStartDate'),
+        flexibleTiming: getPath(source, 'timeline.availability.flexibleTiming')
+      }
+    },
+    terms: {
+      paymentTerms: getPath(source, 'terms.paymentTerms'),
+      cancellationPolicy: getPath(source, 'terms.cancellationPolicy'),
+      additionalNotes: getPath(source, 'terms.additionalNotes')
+    }
+  };
+};
+
+// Static method to list field-level differences between two snapshots
+proposalRevisionSchema.statics.diffSnapshots = function(before, after) {
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const from = normalise(getPath(before, field));
+    const to = normalise(getPath(after, field));
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+// Static method to get the latest revision of a proposal
+proposalRevisionSchema.statics.getLatest = function(proposalId) {
+  return this.findOne({ proposal: proposalId }).sort({ version: -1 });
+};
+
+// Static method to store the current content as version 1 if the proposal has no history yet
+// (proposals submitted before revisions existed); call before changing the proposal
+proposalRevisionSchema.statics.ensureBaseline = async function(proposal) {
+  if (await this.exists({ proposal: proposal._id })) return null;
+
+  try {
+    return await this.create({
+      proposal: proposal._id,
+      version: 1,
+      source: 'created',
+      editedBy: proposal.artist._id || proposal.artist,
+      snapshot: snapshotOf(proposal),
+      createdAt: proposal.submittedAt || proposal.createdAt
+    });
+  } catch (error) {
+    // Another request wrote the baseline first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Static method to record the proposal's current content as a new revision
+// Returns the revision, or null when nothing tracked has changed
+proposalRevisionSchema.statics.record = async function(proposal, { editedBy, source = 'edited' } = {}) {
+  const snapshot = snapshotOf(proposal);
+
+  // Retry on a version clash with a concurrent edit
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.getLatest(proposal._id);
+    const changes = latest ? this.diffSnapshots(latest.toObject().snapshot, snapshot) : [];
+
+    if (latest && !changes.length) return null;
+
+    try {
+      const revision = await this.create({
+        proposal: proposal._id,
+        version: latest ? latest.version + 1 : 1,
+        source: latest ? source : 'created',
+        editedBy,
+        snapshot,
+        changes
+      });
+
+      // Never move the proposal's revision number backwards
+      await mongoose.model('Proposal').updateOne(
+        { _id: proposal._id, revision: { $not: { $gt: revision.version } } },
+        { $set: { revision: revision.version } }
+      );
+
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const error = new Error('The proposal is being edited elsewhere, please try again');
+  error.statusCode = 409;
+  throw error;
+};
+
+module.exports = mongoose.model('ProposalRevision', proposalRevisionSchema);
@@ -1,4 +1,41 @@
 const mongoose = require('mongoose');
+const { contributionOf, syncReview } = require('../services/ratings');
+
+// Days after a job is completed that either side can leave a review; hidden reviews are revealed when it closes
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// Hours after submitting that a reviewer can still change their review
+const REVIEW_EDIT_WINDOW_HOURS = parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS) || 48;
+
+// Parts of a review its author can edit; each changed value is kept in metadata.editHistory
+const EDITABLE_FIELDS = ['rating', 'title', 'comment', 'experience'];
+
+// Reviews that have been revealed to the other side (reviews from before double-blind have no flag)
+const REVEALED = { revealed: { $ne: false } };
+
+// Client reviews of artists still count towards client reputations while awaiting moderation
+const REPUTATION_STATUSES = ['submitted', 'published'];
+
+// Required check for the questions only clients are asked
+function isClientReview() {
+  return this.reviewerType !== 'artist';
+}
+
+const reviewError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Leaf paths and values of an edit, e.g. { rating: { overall: 4 } } -> [['rating.overall', 4]]
+const flattenEdit = (value, path) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value).flatMap(([key, child]) => flattenEdit(child, `${path}.${key}`));
+  }
+  return [[path, value]];
+};
+
+const plainValue = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
 
 const reviewSchema = new mongoose.Schema({
   // Review participants
@@ -10,7 +47,13 @@ const reviewSchema = new mongoose.Schema({
   reviewee: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Reviewee (artist) is required']
+    required: [true, 'Reviewee (artist or client) is required']
+  },
+  // Clients review the artist they booked; artists review the client
+  reviewerType: {
+    type: String,
+    enum: ['client', 'artist'],
+    default: 'client'
   },
   
   // Related job and proposal
@@ -62,6 +105,22 @@ const reviewSchema = new mongoose.Schema({
         type: Number,
         min: 1,
         max: 5
+      },
+      // Artist reviews of clients (with punctuality and communication)
+      hospitality: {
+        type: Number,
+        min: 1,
+        max: 5
+      },
+      guestCountAccuracy: {
+        type: Number,
+        min: 1,
+        max: 5
+      },
+      paymentReliability: {
+        type: Number,
+        min: 1,
+        max: 5
       }
     }
   },
@@ -91,20 +150,24 @@ const reviewSchema = new mongoose.Schema({
     }
   }],
   
-  // Review experience details
+  // Review experience details (the client-only fields aren't asked of artists)
   experience: {
     wouldRecommend: {
       type: Boolean,
-      required: [true, 'Recommendation status is required']
+      required: [isClientReview, 'Recommendation status is required']
     },
     wouldHireAgain: {
       type: Boolean,
-      required: [true, 'Hire again status is required']
+      required: [isClientReview, 'Hire again status is required']
     },
     designSatisfaction: {
       type: String,
       enum: ['very_unsatisfied', 'unsatisfied', 'neutral', 'satisfied', 'very_satisfied'],
-      required: true
+      required: isClientReview
+    },
+    wouldWorkAgain: {
+      type: Boolean,
+      required: [function() { return this.reviewerType === 'artist'; }, 'Work again status is required']
     },
     serviceHighlights: [{
       type: String,
@@ -156,6 +219,17 @@ const reviewSchema = new mongoose.Schema({
     },
     moderatedAt: Date,
     moderationNotes: String,
+    // Automated authenticity screening, run whenever the review is written or edited
+    authenticity: {
+      score: Number,
+      signals: [{
+        check: String,
+        points: Number,
+        reason: String
+      }],
+      checkedAt: Date
+    },
+    // Flags from users, or from the authenticity screening (no reportedBy)
     flags: [{
       type: {
         type: String,
@@ -178,6 +252,12 @@ const reviewSchema = new mongoose.Schema({
     }]
   },
   
+  // Double-blind publishing: hidden from the reviewee (and everyone else) until both sides
+  // have reviewed the job or the review window closes at revealAt
+  revealed: Boolean,
+  revealAt: Date,
+  revealedAt: Date,
+  
   // Review visibility
   visibility: {
     type: String,
@@ -217,7 +297,7 @@ const reviewSchema = new mongoose.Schema({
     }]
   },
   
-  // Artist response
+  // The reviewee's response (the artist's, or the client's to an artist review)
   artistResponse: {
     message: {
       type: String,
@@ -235,6 +315,8 @@ const reviewSchema = new mongoose.Schema({
     ipAddress: String,
     userAgent: String,
     deviceInfo: String,
+    // Hash of the normalised comment, for spotting copied reviews
+    textFingerprint: String,
     location: {
       country: String,
       city: String
@@ -298,6 +380,7 @@ const reviewSchema = new mongoose.Schema({
 
 // Indexes for performance
 reviewSchema.index({ reviewer: 1 });
+reviewSchema.index({ revealed: 1, revealAt: 1 });
 reviewSchema.index({ reviewee: 1 });
 reviewSchema.index({ job: 1 });
 reviewSchema.index({ 'rating.overall': -1 });
@@ -307,6 +390,8 @@ reviewSchema.index({ createdAt: -1 });
 // Compound indexes
 reviewSchema.index({ reviewee: 1, status: 1, 'rating.overall': -1 });
 reviewSchema.index({ reviewee: 1, visibility: 1 });
+reviewSchema.index({ 'metadata.textFingerprint': 1 });
+reviewSchema.index({ reviewee: 1, 'metadata.ipAddress': 1 });
 
 // Unique constraint to prevent duplicate reviews
 reviewSchema.index({ reviewer: 1, job: 1 }, { unique: true });
@@ -320,6 +405,13 @@ reviewSchema.virtual('helpfulVotesCount').get(function() {
   };
 });
 
+// Virtual for when the reviewer can no longer edit the review (the end of the window, or the reveal)
+reviewSchema.virtual('editableUntil').get(function() {
+  if (!this.createdAt) return null;
+  const windowEnd = new Date(this.createdAt.getTime() + REVIEW_EDIT_WINDOW_HOURS * 60 * 60 * 1000);
+  return this.revealedAt && this.revealedAt < windowEnd ? this.revealedAt : windowEnd;
+});
+
 // Virtual for review age
 reviewSchema.virtual('ageInDays').get(function() {
   const now = new Date();
@@ -359,12 +451,27 @@ reviewSchema.virtual('completenessScore').get(function() {
   else if (this.images && this.images.length >= 1) score += 10;
   
   // Experience details (10%)
-  if (this.experience.wouldRecommend !== undefined && 
+  if (this.reviewerType === 'artist') {
+    if (this.experience.wouldWorkAgain !== undefined) score += 10;
+  } else if (this.experience.wouldRecommend !== undefined && 
       this.experience.wouldHireAgain !== undefined) score += 10;
   
   return Math.min(100, score);
 });
 
+// Screen new and edited reviews for signs they're fake or abusive (may hold them in `flagged`)
+reviewSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('metadata.editedAt')) return;
+  
+  try {
+    const { screenReview } = require('../services/reviewAuthenticity');
+    await screenReview(this);
+  } catch (error) {
+    // Don't lose the review over a failed check; it can still be flagged by hand
+    console.error('Error screening review:', error);
+  }
+});
+
 // Pre-save middleware
 reviewSchema.pre('save', function(next) {
   // Calculate quality score
@@ -384,54 +491,49 @@ reviewSchema.pre('save', function(next) {
   next();
 });
 
-// Post-save middleware to update artist rating
+// Remember what a loaded review counts towards its artist's rating, so later changes can be applied as a difference
+reviewSchema.post('init', function(doc) {
+  doc.$locals.ratingContribution = contributionOf(doc);
+});
+
+// Post-save middleware to update artist rating (client reputations are computed when asked for)
 reviewSchema.post('save', async function(doc) {
-  if (doc.status === 'published') {
-    try {
-      await updateArtistRating(doc.reviewee);
-    } catch (error) {
-      console.error('Error updating artist rating:', error);
-    }
+  try {
+    await syncReview(doc);
+  } catch (error) {
+    console.error('Error updating artist rating:', error);
   }
 });
 
-// Post-remove middleware to update artist rating
-reviewSchema.post('remove', async function(doc) {
+// Post-delete middleware to update artist rating
+reviewSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  doc.$locals.deleted = true;
+  
   try {
-    await updateArtistRating(doc.reviewee);
+    await syncReview(doc);
   } catch (error) {
     console.error('Error updating artist rating after removal:', error);
   }
 });
 
-// Function to update artist's overall rating
-async function updateArtistRating(artistId) {
-  const Review = mongoose.model('Review');
-  const User = mongoose.model('User');
+// Reveal a sealed review; it's only counted towards the rating by whoever actually revealed it
+const revealReview = async (Review, review, now) => {
+  const result = await Review.updateOne(
+    { _id: review._id, revealed: false },
+    { $set: { revealed: true, revealedAt: now } }
+  );
   
-  const stats = await Review.aggregate([
-    {
-      $match: {
-        reviewee: artistId,
-        status: 'published'
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        averageRating: { $avg: '$rating.overall' },
-        totalReviews: { $sum: 1 }
-      }
-    }
-  ]);
+  review.revealed = true;
+  review.revealedAt = review.revealedAt || now;
   
-  const artist = await User.findById(artistId);
-  if (artist && stats.length > 0) {
-    artist.artistProfile.rating.average = Math.round(stats[0].averageRating * 10) / 10;
-    artist.artistProfile.rating.count = stats[0].totalReviews;
-    await artist.save();
+  if (result.modifiedCount === 0) {
+    review.$locals.ratingContribution = contributionOf(review);
+    return false;
   }
-}
+  
+  await Review.refreshRating(review);
+  return true;
+};
 
 // Static method to find reviews for an artist
 reviewSchema.statics.findForArtist = function(artistId, options = {}) {
@@ -444,8 +546,10 @@ reviewSchema.statics.findForArtist = function(artistId, options = {}) {
   
   return this.find({
     reviewee: artistId,
+    reviewerType: { $ne: 'artist' },
     status: status,
-    visibility: { $ne: 'private' }
+    visibility: { $ne: 'private' },
+    ...REVEALED
   })
   .populate('reviewer', 'firstName lastName profileImage')
   .populate('job', 'title eventDetails.eventType eventDetails.eventDate')
@@ -454,13 +558,32 @@ reviewSchema.statics.findForArtist = function(artistId, options = {}) {
   .skip(skip);
 };
 
+// Static method to find artists' reviews of a client
+reviewSchema.statics.findForClient = function(clientId, options = {}) {
+  const { limit = 10, skip = 0 } = options;
+  
+  return this.find({
+    reviewee: clientId,
+    reviewerType: 'artist',
+    status: { $in: REPUTATION_STATUSES },
+    ...REVEALED
+  })
+  .populate('reviewer', 'firstName lastName profileImage artistProfile.businessName')
+  .populate('job', 'title eventDetails.eventType eventDetails.eventDate')
+  .sort({ createdAt: -1 })
+  .limit(limit)
+  .skip(skip);
+};
+
 // Static method to get review statistics for an artist
 reviewSchema.statics.getArtistStats = function(artistId) {
   return this.aggregate([
     {
       $match: {
-        reviewee: mongoose.Types.ObjectId(artistId),
-        status: 'published'
+        reviewee: new mongoose.Types.ObjectId(artistId),
+        reviewerType: { $ne: 'artist' },
+        status: 'published',
+        ...REVEALED
       }
     },
     {
@@ -468,9 +591,6 @@ reviewSchema.statics.getArtistStats = function(artistId) {
         _id: null,
         totalReviews: { $sum: 1 },
         averageRating: { $avg: '$rating.overall' },
-        ratingDistribution: {
-          $push: '$rating.overall'
-        },
         recommendationRate: {
           $avg: {
             $cond: [{ $eq: ['$experience.wouldRecommend', true] }, 1, 0]
@@ -489,58 +609,180 @@ reviewSchema.statics.getArtistStats = function(artistId) {
           }
         }
       }
+    }
+  ]);
+};
+
+// Static method to get the period a completed job can be reviewed in
+reviewSchema.statics.getReviewWindow = function(job) {
+  const opensAt = job.completedAt || job.updatedAt;
+  return {
+    opensAt,
+    closesAt: new Date(opensAt.getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Static method to bring the rating a review feeds into up to date after changes made without saving it
+reviewSchema.statics.refreshRating = function(review) {
+  // Client reputations are aggregated on demand
+  if (review.reviewerType === 'artist') return Promise.resolve();
+  return syncReview(review);
+};
+
+// Static method to reveal a review and the other side's review of the same job once both exist
+// Returns the other side's review, or null if they haven't reviewed yet
+reviewSchema.statics.revealIfReciprocated = async function(review) {
+  const counterpart = await this.findOne({
+    job: review.job,
+    reviewer: review.reviewee,
+    reviewee: review.reviewer
+  });
+  if (!counterpart) return null;
+  
+  const now = new Date();
+  await revealReview(this, review, now);
+  await revealReview(this, counterpart, now);
+  
+  return counterpart;
+};
+
+// Static method to reveal hidden reviews whose review window has closed; returns the reviews revealed
+reviewSchema.statics.revealDue = async function(now = new Date(), limit = 100) {
+  const due = await this.find({ revealed: false, revealAt: { $lte: now } }).limit(limit);
+  
+  const revealed = [];
+  for (const review of due) {
+    if (await revealReview(this, review, now)) revealed.push(review);
+  }
+  
+  return revealed;
+};
+
+// Static method to summarise what artists have said about a client
+reviewSchema.statics.getClientReputation = async function(clientId) {
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+  
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        reviewee: new mongoose.Types.ObjectId(clientId.toString()),
+        reviewerType: 'artist',
+        status: { $in: REPUTATION_STATUSES },
+        ...REVEALED
+      }
     },
     {
-      $addFields: {
-        ratingCounts: {
-          $reduce: {
-            input: [1, 2, 3, 4, 5],
-            initialValue: {},
-            in: {
-              $mergeObjects: [
-                '$$value',
-                {
-                  $arrayToObject: [[
-                    { k: { $toString: '$$this' } },
-                    { v: {
-                      $size: {
-                        $filter: {
-                          input: '$ratingDistribution',
-                          cond: { $eq: ['$$item', '$$this'] }
-                        }
-                      }
-                    }}
-                  ]]
-                }
-              ]
-            }
-          }
+      $group: {
+        _id: null,
+        totalReviews: { $sum: 1 },
+        averageRating: { $avg: '$rating.overall' },
+        punctuality: { $avg: '$rating.breakdown.punctuality' },
+        hospitality: { $avg: '$rating.breakdown.hospitality' },
+        guestCountAccuracy: { $avg: '$rating.breakdown.guestCountAccuracy' },
+        paymentReliability: { $avg: '$rating.breakdown.paymentReliability' },
+        communication: { $avg: '$rating.breakdown.communication' },
+        wouldWorkAgainRate: {
+          $avg: { $cond: [{ $eq: ['$experience.wouldWorkAgain', true] }, 1, 0] }
         }
       }
     }
   ]);
+  
+  if (!stats) {
+    return { totalReviews: 0, averageRating: null, breakdown: {}, wouldWorkAgainRate: null };
+  }
+  
+  return {
+    totalReviews: stats.totalReviews,
+    averageRating: round(stats.averageRating),
+    breakdown: {
+      punctuality: round(stats.punctuality),
+      hospitality: round(stats.hospitality),
+      guestCountAccuracy: round(stats.guestCountAccuracy),
+      paymentReliability: round(stats.paymentReliability),
+      communication: round(stats.communication)
+    },
+    wouldWorkAgainRate: Math.round(stats.wouldWorkAgainRate * 100) / 100
+  };
 };
 
-// Method to vote helpful
-reviewSchema.methods.voteHelpful = function(userId, isHelpful = true) {
-  // Remove any existing vote from this user
-  this.helpfulVotes.helpful = this.helpfulVotes.helpful.filter(
-    vote => vote.user.toString() !== userId.toString()
-  );
-  this.helpfulVotes.notHelpful = this.helpfulVotes.notHelpful.filter(
-    vote => vote.user.toString() !== userId.toString()
-  );
+// Method to check whether a user can read a review: its author always, the reviewee once it's
+// revealed, and other users once it's public (artists' reviews of clients are shown to artists)
+reviewSchema.methods.isVisibleTo = function(user) {
+  const userId = user._id.toString();
+  
+  if (user.userType === 'admin' || this.reviewer.toString() === userId) return true;
+  if (this.revealed === false) return false;
+  if (this.reviewee.toString() === userId) return true;
+  if (this.visibility === 'private') return false;
+  
+  if (this.reviewerType === 'artist') {
+    return user.userType === 'artist' && REPUTATION_STATUSES.includes(this.status);
+  }
+  return this.status === 'published';
+};
+
+// Method to apply the reviewer's changes, recording each changed value in the edit history
+// Only possible within the edit window and while the review is still sealed, so nobody can
+// rewrite a review after reading the other side's (reviews from before double-blind have no flag)
+reviewSchema.methods.applyEdit = function(changes, now = new Date()) {
+  if (['removed', 'hidden'].includes(this.status)) {
+    throw reviewError('This review can no longer be edited');
+  }
+  if (this.revealed === true) {
+    throw reviewError('Reviews cannot be edited once they are visible');
+  }
+  if (now > this.editableUntil) {
+    throw reviewError(`Reviews can only be edited within ${REVIEW_EDIT_WINDOW_HOURS} hours of submitting`);
+  }
+  
+  const edits = [];
+  EDITABLE_FIELDS
+    .filter(field => changes[field] !== undefined)
+    .flatMap(field => flattenEdit(changes[field], field))
+    .filter(([path]) => this.schema.path(path))
+    .forEach(([path, value]) => {
+      const oldValue = plainValue(this.get(path));
+      this.set(path, value);
+      const newValue = plainValue(this.get(path));
+      
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        edits.push({ field: path, oldValue, newValue, editedAt: now });
+      }
+    });
   
-  // Add new vote
-  if (isHelpful) {
-    this.helpfulVotes.helpful.push({ user: userId });
-  } else {
-    this.helpfulVotes.notHelpful.push({ user: userId });
+  if (edits.length === 0) {
+    throw reviewError('Nothing to change');
   }
   
+  this.metadata.editHistory.push(...edits);
+  this.metadata.isEdited = true;
+  this.metadata.editedAt = now;
+  
   return this.save();
 };
 
+// Method to record a helpful or not helpful vote; each user votes once
+// Returns false if the user had already voted
+reviewSchema.methods.voteHelpful = async function(userId, isHelpful = true) {
+  const list = isHelpful ? 'helpful' : 'notHelpful';
+  const vote = { user: userId, votedAt: new Date() };
+  
+  // Atomic so two quick clicks can't both count
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'helpfulVotes.helpful.user': { $ne: userId },
+      'helpfulVotes.notHelpful.user': { $ne: userId }
+    },
+    { $push: { [`helpfulVotes.${list}`]: vote } }
+  );
+  if (result.modifiedCount === 0) return false;
+  
+  this.helpfulVotes[list].push(vote);
+  return true;
+};
+
 // Method to add artist response
 reviewSchema.methods.addArtistResponse = function(message, isPublic = true) {
   this.artistResponse = {
@@ -552,8 +794,12 @@ reviewSchema.methods.addArtistResponse = function(message, isPublic = true) {
   return this.save();
 };
 
-// Method to flag review
+// Method to flag review (published reviews are held for moderation)
 reviewSchema.methods.flag = function(reportedBy, flagType, reason) {
+  if (this.moderation.flags.some(flag => flag.reportedBy && flag.reportedBy.toString() === reportedBy.toString())) {
+    throw reviewError('You have already flagged this review');
+  }
+  
   this.moderation.flags.push({
     type: flagType,
     reportedBy: reportedBy,
@@ -587,7 +833,16 @@ reviewSchema.methods.moderate = function(moderatorId, action, notes = '') {
       break;
   }
   
+  // Resolve outstanding flags: approving dismisses them, removing or hiding upholds them
+  this.moderation.flags.forEach(flag => {
+    if (flag.status === 'pending') {
+      flag.status = action === 'approve' ? 'dismissed' : 'upheld';
+    }
+  });
+  
   return this.save();
 };
 
-module.exports = mongoose.model('Review', reviewSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Review', reviewSchema);
+module.exports.REVIEW_WINDOW_DAYS = REVIEW_WINDOW_DAYS;
+module.exports.REVIEW_EDIT_WINDOW_HOURS = REVIEW_EDIT_WINDOW_HOURS; 
\ No newline at end of file
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+// Hours after a job is completed that the review request, then each reminder, goes out
+const REVIEW_REMINDER_HOURS = (process.env.REVIEW_REMINDER_HOURS || '24,72,168')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours >= 0)
+  .sort((a, b) => a - b);
+
+// One side of a completed job being asked to review the other; reviews can only be left
+// through a pending request, which closes with the job's review window
+const reviewRequestSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job is required']
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reviewer is required']
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reviewee is required']
+  },
+  reviewerType: {
+    type: String,
+    enum: ['client', 'artist'],
+    required: [true, 'Reviewer type is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'expired'],
+    default: 'pending'
+  },
+
+  // The job's review window
+  opensAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Reminder schedule (REVIEW_REMINDER_HOURS after opensAt); null once there are none left
+  remindersSent: {
+    type: Number,
+    default: 0
+  },
+  lastRemindedAt: Date,
+  nextReminderAt: Date,
+
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+reviewRequestSchema.index({ job: 1, reviewer: 1 }, { unique: true });
+reviewRequestSchema.index({ status: 1, nextReminderAt: 1 });
+reviewRequestSchema.index({ status: 1, expiresAt: 1 });
+reviewRequestSchema.index({ reviewer: 1, status: 1 });
+
+// When the reminder after `remindersSent` reminders is due, or null if there are no more before expiry
+const reminderDueAt = (opensAt, expiresAt, remindersSent) => {
+  if (remindersSent >= REVIEW_REMINDER_HOURS.length) return null;
+  const dueAt = new Date(opensAt.getTime() + REVIEW_REMINDER_HOURS[remindersSent] * 60 * 60 * 1000);
+  return dueAt < expiresAt ? dueAt : null;
+};
+
+// Method to check whether the request can still be answered with a review
+reviewRequestSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'pending' && now < this.expiresAt;
+};
+
+// Method to close the request with the review it asked for
+// Returns false if it was already answered or had expired
+reviewRequestSchema.methods.markCompleted = async function(review) {
+  const now = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'pending' },
+    { $set: { status: 'completed', review: review._id, completedAt: now, nextReminderAt: null } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  this.status = 'completed';
+  this.review = review._id;
+  this.completedAt = now;
+  this.nextReminderAt = null;
+  return true;
+};
+
+// Method to record that a reminder went out and schedule the next one
+// Returns false if another run sent it first
+reviewRequestSchema.methods.recordReminder = async function(now = new Date()) {
+  const nextReminderAt = reminderDueAt(this.opensAt, this.expiresAt, this.remindersSent + 1);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'pending', remindersSent: this.remindersSent },
+    { $inc: { remindersSent: 1 }, $set: { lastRemindedAt: now, nextReminderAt } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  this.remindersSent += 1;
+  this.lastRemindedAt = now;
+  this.nextReminderAt = nextReminderAt;
+  return true;
+};
+
+// Static method to open review requests for both sides of a completed job (safe to call again)
+reviewRequestSchema.statics.createForJob = async function(job) {
+  const Review = require('./Review');
+
+  if (job.status !== 'completed' || !job.assignedArtist) return [];
+
+  const { opensAt, closesAt } = Review.getReviewWindow(job);
+  const parties = [
+    { reviewer: job.client, reviewee: job.assignedArtist, reviewerType: 'client' },
+    { reviewer: job.assignedArtist, reviewee: job.client, reviewerType: 'artist' }
+  ];
+
+  await this.bulkWrite(parties.map(party => ({
+    updateOne: {
+      filter: { job: job._id, reviewer: party.reviewer },
+      update: {
+        $setOnInsert: {
+          ...party,
+          job: job._id,
+          status: 'pending',
+          opensAt,
+          expiresAt: closesAt,
+          remindersSent: 0,
+          nextReminderAt: reminderDueAt(opensAt, closesAt, 0)
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return this.find({ job: job._id });
+};
+
+// Static method to close requests whose review window has passed; returns how many were closed
+reviewRequestSchema.statics.expireDue = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired', nextReminderAt: null } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('ReviewRequest', reviewRequestSchema);
+module.exports.REVIEW_REMINDER_HOURS = REVIEW_REMINDER_HOURS;
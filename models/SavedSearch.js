@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { distanceKm, hasCoordinates } = require('../utils/geo');
+
+// An artist's named GET /api/jobs filter combination, used as a job alert
+const savedSearchSchema = new mongoose.Schema({
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Artist is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+
+  // Same meaning as the GET /api/jobs query parameters
+  filters: {
+    category: {
+      type: String,
+      enum: ['bridal', 'party', 'festival', 'corporate', 'traditional', 'modern', 'arabic', 'indian', 'other']
+    },
+    city: String,
+    // Postcode or "lat,lng" as entered, resolved to coordinates when saved
+    near: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
+    radiusKm: {
+      type: Number,
+      min: 1,
+      max: 500
+    },
+    minBudget: { type: Number, min: 0 },
+    maxBudget: { type: Number, min: 0 },
+    eventDateFrom: Date,
+    eventDateTo: Date
+  },
+
+  // Paused alerts are kept but never match
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Matches waiting for the artist's daily digest
+  digestQueue: [{
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    matchedAt: { type: Date, default: Date.now }
+  }],
+
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date,
+  lastDigestAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+savedSearchSchema.index({ artist: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, 'filters.category': 1 });
+savedSearchSchema.index({ 'digestQueue.0': 1 });
+
+// Virtual for the GET /api/jobs query string that runs this search
+savedSearchSchema.virtual('searchParams').get(function() {
+  const filters = this.filters || {};
+  const params = new URLSearchParams();
+
+  if (filters.category) params.set('category', filters.category);
+  if (filters.city) params.set('city', filters.city);
+  if (filters.near) {
+    params.set('near', filters.near);
+    if (filters.radiusKm) params.set('radiusKm', filters.radiusKm);
+  }
+  if (filters.minBudget !== undefined && filters.minBudget !== null) params.set('minBudget', filters.minBudget);
+  if (filters.maxBudget !== undefined && filters.maxBudget !== null) params.set('maxBudget', filters.maxBudget);
+  if (filters.eventDateFrom) params.set('eventDateFrom', filters.eventDateFrom.toISOString().slice(0, 10));
+  if (filters.eventDateTo) params.set('eventDateTo', filters.eventDateTo.toISOString().slice(0, 10));
+
+  return params.toString();
+});
+
+// Check the search's date range and budget range make sense
+savedSearchSchema.pre('validate', function(next) {
+  const filters = this.filters || {};
+
+  if (filters.eventDateFrom && filters.eventDateTo && filters.eventDateTo < filters.eventDateFrom) {
+    this.invalidate('filters.eventDateTo', 'Event date window must end after it starts');
+  }
+  if (filters.minBudget && filters.maxBudget && filters.maxBudget < filters.minBudget) {
+    this.invalidate('filters.maxBudget', 'Maximum budget must be greater than minimum budget');
+  }
+  if (filters.near && !hasCoordinates(filters.coordinates)) {
+    this.invalidate('filters.near', `Could not find a location for '${filters.near}'`);
+  }
+
+  next();
+});
+
+// Method to check whether a job fits this search (the same rules as GET /api/jobs)
+savedSearchSchema.methods.matchesJob = function(job) {
+  const filters = this.filters || {};
+  const eventDate = job.eventDetails.eventDate;
+
+  if (!this.isActive) return false;
+  if (filters.category && job.category !== filters.category) return false;
+  if (filters.city && !(job.location.city || '').toLowerCase().includes(filters.city.toLowerCase())) return false;
+  if (filters.minBudget && job.budget.min < filters.minBudget) return false;
+  if (filters.maxBudget && job.budget.max > filters.maxBudget) return false;
+  if (filters.eventDateFrom && eventDate < filters.eventDateFrom) return false;
+  if (filters.eventDateTo && eventDate > filters.eventDateTo) return false;
+
+  if (hasCoordinates(filters.coordinates)) {
+    const distance = distanceKm(filters.coordinates, job.location.coordinates);
+    if (distance === null || distance > (filters.radiusKm || 25)) return false;
+  }
+
+  return true;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
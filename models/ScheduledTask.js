@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One document per background task: the lock that keeps it to a single instance, and its run history
+const scheduledTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Task name is required'],
+    unique: true
+  },
+
+  // Lock held by the instance running the task; expires so a crashed instance can't block it forever
+  lockedBy: String,
+  lockedUntil: Date,
+
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed']
+  },
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastDurationMs: Number,
+
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether a run is in progress somewhere
+scheduledTaskSchema.virtual('isLocked').get(function() {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+module.exports = mongoose.model('ScheduledTask', scheduledTaskSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // SHA-256 of the current refresh token secret (the token itself is never stored)
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token it replaced, to detect a rotated token being replayed
+  previousTokenHash: String,
+
+  // Device details captured at sign-in
+  userAgent: String,
+  device: String,
+  ip: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedIp: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'signed_out_everywhere', 'password_changed', 'password_reset', 'token_reuse', 'account_deactivated', 'account_suspended']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes expired sessions
+
+// Virtual for active status
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to build the public view of a session (never includes token hashes)
+sessionSchema.methods.toSummary = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.lastUsedIp || this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    isCurrent: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Static method to find a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
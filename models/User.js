@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { applyGeoLocation } = require('../utils/geo');
+const { SEARCH_WEIGHTS, textIndexFields } = require('../utils/search');
+const { overlaps, contains, toDateKey, endOfDay } = require('../utils/time');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -40,7 +43,7 @@ const userSchema = new mongoose.Schema({
   // User Type
   userType: {
     type: String,
-    enum: ['client', 'artist'],
+    enum: ['client', 'artist', 'admin'],
     required: [true, 'User type is required']
   },
   
@@ -54,6 +57,10 @@ const userSchema = new mongoose.Schema({
     coordinates: {
       latitude: Number,
       longitude: Number
+    },
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
     }
   },
   
@@ -78,22 +85,43 @@ const userSchema = new mongoose.Schema({
       type: Number, // years of experience
       min: 0
     },
+    // Gallery in display order
     portfolio: [{
       imageUrl: String,
-      description: String,
-      category: String
+      description: String, // caption
+      category: String, // design style, e.g. 'arabic'
+      // Uploaded with the item through POST /api/portfolio, so the file is removed with the item
+      // (images referenced by imageUrl are never deleted: we don't know who uploaded them)
+      isUploaded: { type: Boolean, default: false },
+      addedAt: { type: Date, default: Date.now }
     }],
     pricing: {
       basePrice: Number,
       hourlyRate: Number,
       currency: { type: String, default: 'GBP' }
     },
+    travelRadius: {
+      type: Number, // km the artist is willing to travel for new job alerts
+      min: 1,
+      max: 500
+    },
+    // Recurring weekly working hours
+    weeklyAvailability: [{
+      dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      startTime: String,
+      endTime: String
+    }],
+    // Date overrides: custom hours, blackout days and booked slots
     availability: [{
       date: Date,
+      isBlackout: { type: Boolean, default: false },
+      note: String,
       timeSlots: [{
         startTime: String,
         endTime: String,
-        isBooked: { type: Boolean, default: false }
+        isBooked: { type: Boolean, default: false },
+        job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+        proposal: { type: mongoose.Schema.Types.ObjectId, ref: 'Proposal' }
       }]
     }],
     documents: {
@@ -101,13 +129,43 @@ const userSchema = new mongoose.Schema({
       certification: String,
       businessLicense: String
     },
+    // Aggregates from published client reviews, maintained by services/ratings.js
     rating: {
       average: { type: Number, default: 0, min: 0, max: 5 },
-      count: { type: Number, default: 0 }
+      count: { type: Number, default: 0 },
+      // Pulled towards the platform prior while there are few reviews; used for ranking
+      bayesianAverage: Number,
+      // Average with recent reviews weighted more heavily
+      recencyScore: Number,
+      breakdown: {
+        quality: Number,
+        punctuality: Number,
+        professionalism: Number,
+        communication: Number,
+        valueForMoney: Number,
+        creativity: Number
+      },
+      // Number of reviews at each star rating
+      distribution: {
+        1: { type: Number, default: 0 },
+        2: { type: Number, default: 0 },
+        3: { type: Number, default: 0 },
+        4: { type: Number, default: 0 },
+        5: { type: Number, default: 0 }
+      },
+      recommendationRate: Number,
+      rehireRate: Number,
+      // Guards concurrent updates of the figures above and ratingTotals
+      version: { type: Number, default: 0 },
+      updatedAt: Date
     },
     isVerified: { type: Boolean, default: false }
   },
   
+  // Running sums artistProfile.rating is derived from; kept outside artistProfile so
+  // selecting the profile never exposes them
+  ratingTotals: { type: mongoose.Schema.Types.Mixed, select: false },
+  
   // Client-specific fields
   clientProfile: {
     preferences: [{
@@ -140,6 +198,24 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
   
+  // Two-factor authentication (TOTP); secrets are encrypted and never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    resetToken: { type: String, select: false },
+    resetExpires: { type: Date, select: false }
+  },
+  
   // Login tracking
   lastLogin: Date,
   loginAttempts: { type: Number, default: 0 },
@@ -150,8 +226,12 @@ const userSchema = new mongoose.Schema({
     newJobs: { type: Boolean, default: true },
     proposals: { type: Boolean, default: true },
     messages: { type: Boolean, default: true },
+    // Saved search alerts: one notification per job, or one daily digest
+    jobAlerts: { type: Boolean, default: true },
+    jobAlertFrequency: { type: String, enum: ['instant', 'daily_digest'], default: 'instant' },
     email: {
       newJobs: { type: Boolean, default: false },
+      jobAlerts: { type: Boolean, default: true },
       proposals: { type: Boolean, default: true },
       messages: { type: Boolean, default: true },
       marketing: { type: Boolean, default: false }
@@ -166,6 +246,22 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  
+  // Admin suspension (suspended accounts are also inactive)
+  suspension: {
+    isSuspended: { type: Boolean, default: false },
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reactivatedAt: Date,
+    reactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 }, {
   timestamps: true,
@@ -177,8 +273,17 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ userType: 1 });
 userSchema.index({ 'location.city': 1 });
+userSchema.index({ 'location.geo': '2dsphere' });
 userSchema.index({ 'artistProfile.specialties': 1 });
 userSchema.index({ 'artistProfile.rating.average': -1 });
+userSchema.index({ 'artistProfile.rating.bayesianAverage': -1, 'artistProfile.rating.count': -1 });
+
+// Full-text search (`q`) over artist profiles
+userSchema.index(textIndexFields(SEARCH_WEIGHTS.artist), {
+  name: 'artist_text_search',
+  weights: SEARCH_WEIGHTS.artist,
+  default_language: 'english'
+});
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -205,21 +310,32 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to keep the GeoJSON location in sync with coordinates/postcode
+userSchema.pre('save', function(next) {
+  if (this.isModified('location') || !(this.location.geo && this.location.geo.type)) {
+    applyGeoLocation(this.location, {
+      refreshFromPostcode: this.isModified('location.postalCode') && !this.isModified('location.coordinates')
+    });
+  }
+  next();
+});
+
 // Method to check password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.getSignedJwtToken = function() {
+// Method to generate a short-lived access token bound to a session
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
+      sid: sessionId,
       userType: this.userType,
       email: this.email 
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
@@ -255,6 +371,146 @@ userSchema.methods.updateLastLogin = function() {
   return this.updateOne({ lastLogin: new Date() });
 };
 
+// Method to get the availability override for a calendar day
+userSchema.methods.getAvailabilityDay = function(date) {
+  const key = toDateKey(date);
+  return (this.artistProfile.availability || []).find(day => day.date && toDateKey(day.date) === key);
+};
+
+// Method to check whether the artist has set up a calendar at all
+userSchema.methods.hasCalendar = function() {
+  const profile = this.artistProfile;
+  return (profile.weeklyAvailability || []).length > 0 ||
+    (profile.availability || []).some(day => day.isBlackout || day.timeSlots.some(slot => !slot.isBooked));
+};
+
+// Method to get working windows for a day (date override hours, else weekly rules)
+userSchema.methods.getAvailableWindows = function(date) {
+  const day = this.getAvailabilityDay(date);
+  if (day && day.isBlackout) return [];
+
+  const overrideWindows = day ? day.timeSlots.filter(slot => !slot.isBooked) : [];
+  if (overrideWindows.length > 0) {
+    return overrideWindows.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime }));
+  }
+
+  const weekday = new Date(date).getUTCDay();
+  return (this.artistProfile.weeklyAvailability || [])
+    .filter(rule => rule.dayOfWeek === weekday)
+    .map(rule => ({ startTime: rule.startTime, endTime: rule.endTime }));
+};
+
+// Method to get booked slots for a day
+userSchema.methods.getBookedSlots = function(date) {
+  const day = this.getAvailabilityDay(date);
+  return day ? day.timeSlots.filter(slot => slot.isBooked) : [];
+};
+
+// Method to check a time range can be booked; returns a reason string or null
+userSchema.methods.findSlotConflict = function(date, startTime, endTime) {
+  const day = this.getAvailabilityDay(date);
+  if (day && day.isBlackout) {
+    return 'Artist is unavailable on this date';
+  }
+
+  const clash = this.getBookedSlots(date).find(slot => overlaps(slot.startTime, slot.endTime, startTime, endTime));
+  if (clash) {
+    return `Artist is already booked from ${clash.startTime} to ${clash.endTime} on this date`;
+  }
+
+  // Artists without a calendar are treated as available
+  if (this.hasCalendar()) {
+    const windows = this.getAvailableWindows(date);
+    if (!windows.some(w => contains(w.startTime, w.endTime, startTime, endTime))) {
+      return `Artist is not available from ${startTime} to ${endTime} on this date`;
+    }
+  }
+
+  return null;
+};
+
+// Method to reserve a booked slot for a job, checked against this document with findSlotConflict
+// Only writes if the day's bookings are still the ones that were checked; returns false otherwise
+userSchema.methods.reserveSlot = async function({ date, startTime, endTime, job, proposal }) {
+  const dayStart = new Date(toDateKey(date));
+  const sameDay = { $gte: dayStart, $lte: endOfDay(dayStart) };
+  const slot = { startTime, endTime, isBooked: true, job, proposal };
+
+  let result;
+  if (this.getAvailabilityDay(date)) {
+    const checked = this.getBookedSlots(date).map(booked => booked._id);
+    result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        'artistProfile.availability': {
+          $elemMatch: {
+            date: sameDay,
+            isBlackout: { $ne: true },
+            timeSlots: { $not: { $elemMatch: { isBooked: true, _id: { $nin: checked } } } }
+          }
+        }
+      },
+      { $push: { 'artistProfile.availability.$.timeSlots': slot } }
+    );
+  } else {
+    result = await this.constructor.updateOne(
+      { _id: this._id, 'artistProfile.availability': { $not: { $elemMatch: { date: sameDay } } } },
+      { $push: { 'artistProfile.availability': { date: dayStart, timeSlots: [slot] } } }
+    );
+  }
+
+  return result.modifiedCount > 0;
+};
+
+// Method to release every slot booked for a job
+userSchema.methods.releaseJobSlots = async function(jobId) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { 'artistProfile.availability.$[].timeSlots': { job: jobId } } }
+  );
+
+  // Drop override days that no longer hold anything
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $pull: {
+        'artistProfile.availability': {
+          isBlackout: { $ne: true },
+          note: { $in: [null, ''] },
+          timeSlots: { $size: 0 }
+        }
+      }
+    }
+  );
+};
+
+// Method to build a day-by-day calendar between two dates (inclusive)
+userSchema.methods.getCalendar = function(from, to, { includeBookingRefs = false } = {}) {
+  const days = [];
+  const current = new Date(toDateKey(from));
+  const end = new Date(toDateKey(to));
+
+  while (current <= end) {
+    const day = this.getAvailabilityDay(current);
+
+    days.push({
+      date: toDateKey(current),
+      isBlackout: !!(day && day.isBlackout),
+      note: day ? day.note : undefined,
+      windows: this.getAvailableWindows(current),
+      booked: this.getBookedSlots(current).map(slot => ({
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        ...(includeBookingRefs && { job: slot.job, proposal: slot.proposal })
+      }))
+    });
+
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return days;
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -272,7 +528,7 @@ userSchema.statics.findArtistsBySpecialty = function(specialty, location = null)
     query['location.city'] = new RegExp(location, 'i');
   }
   
-  return this.find(query).sort({ 'artistProfile.rating.average': -1 });
+  return this.find(query).sort({ 'artistProfile.rating.bayesianAverage': -1, 'artistProfile.rating.count': -1 });
 };
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,641 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { protect, requireAdmin } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(protect, requireAdmin);
+
+const ANNOUNCEMENT_BATCH_SIZE = 500;
+
+const suspendValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Suspension reason must be between 5 and 500 characters')
+];
+
+const verificationValidation = [
+  body('approved')
+    .isBoolean()
+    .withMessage('Approved must be true or false')
+    .toBoolean(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const moderateValidation = [
+  body('action')
+    .isIn(['approve', 'reject', 'hide'])
+    .withMessage('Action must be approve, reject or hide'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const announcementValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('message')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Message must be between 5 and 500 characters'),
+  body('audience')
+    .optional()
+    .isIn(['all', 'clients', 'artists'])
+    .withMessage('Audience must be all, clients or artists'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority'),
+  body('actionUrl')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Action URL cannot exceed 200 characters'),
+  body('sendEmail')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmail must be true or false')
+    .toBoolean()
+];
+
+const getPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Load the user in :id (sets req.targetUser)
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const User = require('../models/User');
+    const mongoose = require('mongoose');
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findById(req.params.id).select('-password')
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+
+  } catch (error) {
+    console.error('Load user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Best-effort in-app notification to a single user
+const notifyUser = async (recipient, title, message, actionUrl) => {
+  const Notification = require('../models/Notification');
+
+  try {
+    await Notification.create({
+      recipient,
+      type: 'system_announcement',
+      title,
+      message,
+      actionUrl,
+      priority: 'high'
+    });
+  } catch (notificationError) {
+    console.error('Error sending admin notification:', notificationError);
+  }
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (Admins only)
+router.get('/users', async (req, res) => {
+  try {
+    const User = require('../models/User');
+
+    const query = {};
+
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+        { 'location.city': pattern }
+      ];
+    }
+
+    if (['client', 'artist', 'admin'].includes(req.query.userType)) {
+      query.userType = req.query.userType;
+    }
+
+    if (req.query.status === 'suspended') {
+      query['suspension.isSuspended'] = true;
+    } else if (req.query.status === 'active') {
+      query.isActive = true;
+    } else if (req.query.status === 'inactive') {
+      query.isActive = false;
+      query['suspension.isSuspended'] = { $ne: true };
+    }
+
+    if (req.query.verified !== undefined) {
+      query.userType = 'artist';
+      query['artistProfile.isVerified'] = req.query.verified === 'true';
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const users = await User.find(query)
+      .select('firstName lastName email userType isActive isEmailVerified suspension artistProfile.isVerified location.city lastLogin createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: users
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a user's full account
+// @route   GET /api/admin/users/:id
+// @access  Private (Admins only)
+router.get('/users/:id', loadTargetUser, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.targetUser
+  });
+});
+
+// @desc    Suspend a user account
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private (Admins only)
+router.put('/users/:id/suspend', loadTargetUser, suspendValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const User = require('../models/User');
+    const user = req.targetUser;
+
+    if (user.userType === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin accounts cannot be suspended'
+      });
+    }
+
+    if (user.suspension && user.suspension.isSuspended) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already suspended'
+      });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $set: {
+          isActive: false,
+          'suspension.isSuspended': true,
+          'suspension.reason': req.body.reason,
+          'suspension.suspendedAt': new Date(),
+          'suspension.suspendedBy': req.user._id
+        }
+      },
+      { new: true }
+    ).select('-password');
+
+    const { revokeAllSessions } = require('../services/sessions');
+    await revokeAllSessions(user._id, 'account_suspended');
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error suspending user'
+    });
+  }
+});
+
+// @desc    Reactivate a suspended or deactivated account
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private (Admins only)
+router.put('/users/:id/reactivate', loadTargetUser, async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const user = req.targetUser;
+
+    if (user.isActive && !(user.suspension && user.suspension.isSuspended)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $set: {
+          isActive: true,
+          'suspension.isSuspended': false,
+          'suspension.reactivatedAt': new Date(),
+          'suspension.reactivatedBy': req.user._id
+        }
+      },
+      { new: true }
+    ).select('-password');
+
+    await notifyUser(user._id, 'Account reactivated', 'Your account has been reactivated. Welcome back!');
+
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error reactivating user'
+    });
+  }
+});
+
+// @desc    Reset a user's two-factor authentication (lost device)
+// @route   PUT /api/admin/users/:id/2fa/reset
+// @access  Private (Admins only)
+router.put('/users/:id/2fa/reset', loadTargetUser, async (req, res) => {
+  try {
+    const twoFactor = require('../services/twoFactor');
+    const { revokeAllSessions } = require('../services/sessions');
+    const user = req.targetUser;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    await twoFactor.disable(user._id);
+    await revokeAllSessions(user._id, 'signed_out_everywhere');
+    await twoFactor.notifyDisabled(
+      user._id,
+      'An administrator turned off two-factor authentication for your account. Please set it up again from your security settings.'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset'
+    });
+
+  } catch (error) {
+    console.error('Admin 2FA reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting two-factor authentication'
+    });
+  }
+});
+
+// @desc    List artists waiting for verification
+// @route   GET /api/admin/artists/verification
+// @access  Private (Admins only)
+router.get('/artists/verification', async (req, res) => {
+  try {
+    const User = require('../models/User');
+
+    const query = {
+      userType: 'artist',
+      isActive: true,
+      'artistProfile.isVerified': { $ne: true }
+    };
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    // Oldest requests first
+    const artists = await User.find(query)
+      .select('firstName lastName email location.city artistProfile createdAt')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: artists.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: artists
+    });
+
+  } catch (error) {
+    console.error('Verification queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Approve or revoke an artist's verification
+// @route   PUT /api/admin/artists/:id/verification
+// @access  Private (Admins only)
+router.put('/artists/:id/verification', loadTargetUser, verificationValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const User = require('../models/User');
+    const artist = req.targetUser;
+
+    if (artist.userType !== 'artist') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only artists can be verified'
+      });
+    }
+
+    const { approved, notes } = req.body;
+
+    const updated = await User.findByIdAndUpdate(
+      artist._id,
+      { $set: { 'artistProfile.isVerified': approved } },
+      { new: true }
+    ).select('-password');
+
+    await notifyUser(
+      artist._id,
+      approved ? 'Profile verified' : 'Verification update',
+      (approved
+        ? 'Your artist profile has been verified and is now listed in search results.'
+        : `Your artist profile is not verified${notes ? `: ${notes}` : '.'}`).substring(0, 500),
+      '/profile'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Artist verified' : 'Artist verification revoked',
+      data: updated
+    });
+
+  } catch (error) {
+    console.error('Artist verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating verification'
+    });
+  }
+});
+
+// @desc    Review flag queue
+// @route   GET /api/admin/reviews/flagged
+// @access  Private (Admins only)
+router.get('/reviews/flagged', async (req, res) => {
+  try {
+    const Review = require('../models/Review');
+
+    const query = {
+      $or: [
+        { status: 'flagged' },
+        { 'moderation.flags.status': 'pending' }
+      ]
+    };
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const reviews = await Review.find(query)
+      .populate('reviewer', 'firstName lastName email')
+      .populate('reviewee', 'firstName lastName email')
+      .populate('moderation.flags.reportedBy', 'firstName lastName')
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: reviews
+    });
+
+  } catch (error) {
+    console.error('Flagged reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Moderate a review (approve, reject or hide)
+// @route   PUT /api/admin/reviews/:id/moderate
+// @access  Private (Admins only)
+router.put('/reviews/:id/moderate', moderateValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const Review = require('../models/Review');
+    const mongoose = require('mongoose');
+
+    const review = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Review.findById(req.params.id)
+      : null;
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await review.moderate(req.user._id, req.body.action, req.body.notes);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review moderated',
+      data: review
+    });
+
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error moderating review'
+    });
+  }
+});
+
+// @desc    Send a system announcement to users
+// @route   POST /api/admin/announcements
+// @access  Private (Admins only)
+router.post('/announcements', announcementValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const User = require('../models/User');
+    const Notification = require('../models/Notification');
+
+    const { title, message, audience = 'all', priority = 'medium', actionUrl, sendEmail = false } = req.body;
+
+    const query = { isActive: true, userType: { $ne: 'admin' } };
+    if (audience === 'clients') query.userType = 'client';
+    if (audience === 'artists') query.userType = 'artist';
+
+    const cursor = User.find(query).select('_id').lean().cursor();
+
+    let batch = [];
+    let sent = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Notification.insertMany(batch, { ordered: false });
+      sent += batch.length;
+      batch = [];
+    };
+
+    for await (const user of cursor) {
+      batch.push({
+        recipient: user._id,
+        type: 'system_announcement',
+        title,
+        message,
+        actionUrl,
+        relatedUser: req.user._id,
+        priority,
+        deliveryMethods: {
+          inApp: true,
+          email: sendEmail
+        }
+      });
+
+      if (batch.length >= ANNOUNCEMENT_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    res.status(201).json({
+      success: true,
+      message: `Announcement sent to ${sent} users`,
+      count: sent
+    });
+
+  } catch (error) {
+    console.error('Send announcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending announcement'
+    });
+  }
+});
+
+// @desc    Background task status (last run, outcome, lock holder)
+// @route   GET /api/admin/tasks
+// @access  Private (Admins only)
+router.get('/tasks', async (req, res) => {
+  try {
+    const scheduler = require('../services/scheduler');
+
+    const tasks = await scheduler.getStatus();
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: {
+        instance: scheduler.INSTANCE_ID,
+        tasks
+      }
+    });
+
+  } catch (error) {
+    console.error('Get task status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Run a background task now
+// @route   POST /api/admin/tasks/:name/run
+// @access  Private (Admins only)
+router.post('/tasks/:name/run', async (req, res) => {
+  try {
+    const scheduler = require('../services/scheduler');
+
+    const outcome = await scheduler.runTask(req.params.name, { force: true });
+
+    if (!outcome) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task is already running'
+      });
+    }
+
+    res.status(200).json({
+      success: outcome.status === 'succeeded',
+      message: outcome.status === 'succeeded' ? 'Task completed' : `Task failed: ${outcome.error}`,
+      data: outcome
+    });
+
+  } catch (error) {
+    console.error('Run task error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+module.exports = router;
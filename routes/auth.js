@@ -4,6 +4,10 @@ const {
   register,
   login,
   logout,
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   getMe,
   updateDetails,
   updatePassword,
@@ -15,7 +19,9 @@ const {
   deactivateAccount
 } = require('../controllers/authController');
 
-const { protect, authorize, authRateLimit } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+
+const { protect, authorize, authRateLimit, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -138,7 +144,53 @@ const artistProfileValidation = [
   body('pricing.hourlyRate')
     .optional()
     .isFloat({ min: 20 })
-    .withMessage('Hourly rate must be at least £20')
+    .withMessage('Hourly rate must be at least £20'),
+  body('travelRadius')
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Travel radius must be between 1 and 500 km')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+// Either a 6-digit code or a recovery code
+const twoFactorVerifyValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('A code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorVerifyValidation
+];
+
+const twoFactorDisableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorVerifyValidation
 ];
 
 // Public routes
@@ -147,17 +199,32 @@ router.post('/login', authRateLimit, loginValidation, login);
 router.post('/forgotpassword', authRateLimit, forgotPasswordValidation, forgotPassword);
 router.put('/resetpassword/:resettoken', authRateLimit, resetPasswordValidation, resetPassword);
 router.get('/verify/:token', verifyEmail);
+router.post('/refresh', refresh);
+router.post('/2fa/verify', authRateLimit, twoFactorLoginValidation, twoFactorController.verifyLogin);
+router.post('/2fa/reset-request', authRateLimit, loginValidation, twoFactorController.requestReset);
+router.put('/2fa/reset/:token', authRateLimit, twoFactorController.confirmReset);
+router.post('/logout', optionalAuth, logout);
+router.get('/logout', optionalAuth, logout);
 
 // Protected routes
 router.use(protect); // All routes after this middleware are protected
 
-router.get('/logout', logout);
 router.get('/me', getMe);
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeAllSessions);
+router.delete('/sessions/:id', revokeSession);
 router.put('/updatedetails', updateDetailsValidation, updateDetails);
 router.put('/updatepassword', updatePasswordValidation, updatePassword);
 router.post('/resend-verification', resendVerification);
 router.put('/deactivate', deactivateAccount);
 
+// Two-factor authentication
+router.get('/2fa', twoFactorController.getStatus);
+router.post('/2fa/setup', twoFactorController.setup);
+router.post('/2fa/enable', twoFactorCodeValidation, twoFactorController.enable);
+router.post('/2fa/disable', twoFactorDisableValidation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', twoFactorCodeValidation, twoFactorController.regenerateRecoveryCodes);
+
 // Artist-only routes
 router.put('/artist-profile', authorize('artist'), artistProfileValidation, updateArtistProfile);
 
@@ -0,0 +1,357 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { isValidTime, toMinutes, overlaps, toDateKey } = require('../utils/time');
+
+const router = express.Router();
+
+const MAX_PUBLIC_RANGE_DAYS = 90;
+const MAX_BLACKOUT_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time slot list validation ([{ startTime, endTime }], non-overlapping, start before end)
+const validateSlots = (slots) => {
+  slots.forEach(slot => {
+    if (!isValidTime(slot.startTime) || !isValidTime(slot.endTime)) {
+      throw new Error('Times must be in HH:MM format');
+    }
+    if (toMinutes(slot.startTime) >= toMinutes(slot.endTime)) {
+      throw new Error('Start time must be before end time');
+    }
+  });
+
+  slots.forEach((slot, i) => {
+    slots.slice(i + 1).forEach(other => {
+      if ((slot.dayOfWeek === undefined || slot.dayOfWeek === other.dayOfWeek) &&
+          overlaps(slot.startTime, slot.endTime, other.startTime, other.endTime)) {
+        throw new Error('Time slots cannot overlap');
+      }
+    });
+  });
+
+  return true;
+};
+
+const weeklyValidation = [
+  body('rules')
+    .isArray({ max: 50 })
+    .withMessage('Rules must be an array'),
+  body('rules.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  body('rules')
+    .custom(validateSlots)
+];
+
+const dateParamValidation = [
+  param('date')
+    .isISO8601({ strict: true })
+    .withMessage('Date must be in YYYY-MM-DD format')
+];
+
+const dateOverrideValidation = [
+  ...dateParamValidation,
+  body('isBlackout')
+    .optional()
+    .isBoolean()
+    .withMessage('isBlackout must be true or false')
+    .toBoolean(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+  body('timeSlots')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Time slots must be an array')
+    .custom(validateSlots)
+];
+
+const blackoutValidation = [
+  body('from')
+    .isISO8601()
+    .withMessage('From date is required'),
+  body('to')
+    .isISO8601()
+    .withMessage('To date is required'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters')
+];
+
+// Parse ?from=&to= into a date range (defaults to the next 30 days)
+const parseRange = (query, maxDays) => {
+  const from = query.from ? new Date(query.from) : new Date();
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + 30 * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+    return { error: 'Invalid date range' };
+  }
+  if ((to - from) / DAY_MS > maxDays) {
+    return { error: `Date range cannot exceed ${maxDays} days` };
+  }
+
+  return { from, to };
+};
+
+// Get or create the override entry for a day
+const getOrCreateDay = (user, date) => {
+  let day = user.getAvailabilityDay(date);
+  if (!day) {
+    user.artistProfile.availability.push({ date: new Date(toDateKey(date)), timeSlots: [] });
+    day = user.artistProfile.availability[user.artistProfile.availability.length - 1];
+  }
+  return day;
+};
+
+// @desc    Get own availability (rules, overrides and calendar)
+// @route   GET /api/availability/me
+// @access  Private (Artists only)
+router.get('/me', protect, authorize('artist'), async (req, res) => {
+  try {
+    const { from, to, error } = parseRange(req.query, MAX_BLACKOUT_RANGE_DAYS);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const profile = req.user.artistProfile;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        weeklyAvailability: profile.weeklyAvailability,
+        overrides: profile.availability,
+        calendar: req.user.getCalendar(from, to, { includeBookingRefs: true })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Replace weekly availability rules
+// @route   PUT /api/availability/me/weekly
+// @access  Private (Artists only)
+router.put('/me/weekly', protect, authorize('artist'), weeklyValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = req.user;
+    user.artistProfile.weeklyAvailability = req.body.rules.map(rule => ({
+      dayOfWeek: rule.dayOfWeek,
+      startTime: rule.startTime,
+      endTime: rule.endTime
+    }));
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      data: user.artistProfile.weeklyAvailability
+    });
+
+  } catch (error) {
+    console.error('Update weekly availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating availability'
+    });
+  }
+});
+
+// @desc    Set custom hours, a note or a blackout for a date
+// @route   PUT /api/availability/me/dates/:date
+// @access  Private (Artists only)
+router.put('/me/dates/:date', protect, authorize('artist'), dateOverrideValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = req.user;
+    const { isBlackout = false, note, timeSlots = [] } = req.body;
+
+    const day = getOrCreateDay(user, req.params.date);
+    const booked = day.timeSlots.filter(slot => slot.isBooked);
+
+    if (isBlackout && booked.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot black out a date that already has bookings'
+      });
+    }
+
+    // Custom hours replace the day's windows; booked slots are kept
+    day.isBlackout = isBlackout;
+    day.note = note;
+    day.timeSlots = [
+      ...booked,
+      ...(isBlackout ? [] : timeSlots.map(slot => ({
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        isBooked: false
+      })))
+    ];
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      data: user.getCalendar(req.params.date, req.params.date, { includeBookingRefs: true })[0]
+    });
+
+  } catch (error) {
+    console.error('Update date availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating availability'
+    });
+  }
+});
+
+// @desc    Remove a date override (falls back to weekly rules, bookings are kept)
+// @route   DELETE /api/availability/me/dates/:date
+// @access  Private (Artists only)
+router.delete('/me/dates/:date', protect, authorize('artist'), dateParamValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = req.user;
+    const day = user.getAvailabilityDay(req.params.date);
+
+    if (!day) {
+      return res.status(404).json({
+        success: false,
+        message: 'No override found for this date'
+      });
+    }
+
+    const booked = day.timeSlots.filter(slot => slot.isBooked);
+    if (booked.length > 0) {
+      day.isBlackout = false;
+      day.note = undefined;
+      day.timeSlots = booked;
+    } else {
+      user.artistProfile.availability.pull(day._id);
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Date override removed'
+    });
+
+  } catch (error) {
+    console.error('Delete date availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating availability'
+    });
+  }
+});
+
+// @desc    Black out a range of dates
+// @route   POST /api/availability/me/blackouts
+// @access  Private (Artists only)
+router.post('/me/blackouts', protect, authorize('artist'), blackoutValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { from, to, error } = parseRange(req.body, MAX_BLACKOUT_RANGE_DAYS);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const user = req.user;
+    const dates = [];
+    for (let current = new Date(toDateKey(from)); current <= to; current = new Date(current.getTime() + DAY_MS)) {
+      dates.push(current);
+    }
+
+    const bookedDates = dates.filter(date => user.getBookedSlots(date).length > 0).map(toDateKey);
+    if (bookedDates.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot black out dates that already have bookings',
+        bookedDates
+      });
+    }
+
+    dates.forEach(date => {
+      const day = getOrCreateDay(user, date);
+      day.isBlackout = true;
+      day.note = req.body.note;
+      day.timeSlots = [];
+    });
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(201).json({
+      success: true,
+      count: dates.length,
+      data: dates.map(toDateKey)
+    });
+
+  } catch (error) {
+    console.error('Create blackout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating availability'
+    });
+  }
+});
+
+// @desc    Get an artist's availability calendar
+// @route   GET /api/availability/artist/:id
+// @access  Public
+router.get('/artist/:id', async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const mongoose = require('mongoose');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Artist not found' });
+    }
+
+    const { from, to, error } = parseRange(req.query, MAX_PUBLIC_RANGE_DAYS);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const artist = await User.findById(req.params.id)
+      .select('userType isActive artistProfile.weeklyAvailability artistProfile.availability');
+
+    if (!artist || artist.userType !== 'artist' || !artist.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        hasCalendar: artist.hasCalendar(),
+        calendar: artist.getCalendar(from, to)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get artist availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -78,6 +78,82 @@ const updateJobValidation = [
   // Add other optional validations as needed
 ];
 
+const invitationValidation = [
+  body('artistIds')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('artistIds must be a list of 1 to 20 artists'),
+  body('artistIds.*')
+    .isMongoId()
+    .withMessage('Invalid artist id'),
+  body('fromFavorites')
+    .optional()
+    .isBoolean()
+    .withMessage('fromFavorites must be true or false')
+    .toBoolean(),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+const directBookingValidation = [
+  ...createJobValidation,
+  body('artistId')
+    .isMongoId()
+    .withMessage('A valid artist is required'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+// Most artists a single job can be sent to
+const MAX_INVITATIONS = 20;
+
+// Active, unsuspended artists among the given ids
+const findInvitableArtists = (artistIds) => {
+  const User = require('../models/User');
+  
+  return User.find({
+    _id: { $in: artistIds },
+    userType: 'artist',
+    isActive: true,
+    'suspension.isSuspended': { $ne: true }
+  }).select('firstName lastName');
+};
+
+const cancelJobValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Cancellation reason must be between 5 and 500 characters')
+];
+
+// Notify the other party on a job (client <-> assigned artist) about a status change
+const notifyOtherParty = async (job, req, type, title, message) => {
+  const Notification = require('../models/Notification');
+  
+  const recipient = req.isJobOwner ? job.assignedArtist : job.client;
+  if (!recipient) return;
+  
+  try {
+    await Notification.create({
+      recipient,
+      type,
+      title,
+      message,
+      relatedJob: job._id,
+      relatedUser: req.user._id,
+      actionUrl: `/jobs/${job._id}`
+    });
+  } catch (notificationError) {
+    console.error('Error sending job status notification:', notificationError);
+  }
+};
+
 // @desc    Get all jobs with filtering, sorting, pagination
 // @route   GET /api/jobs
 // @access  Public (with optional auth for personalization)
@@ -85,10 +161,29 @@ router.get('/', optionalAuth, async (req, res) => {
   try {
     const Job = require('../models/Job');
     const mongoose = require('mongoose');
+    const {
+      SEARCH_WEIGHTS, MAX_NEAR_MATCHES, parseSearchQuery, textSearch, withRelevance, withHighlights
+    } = require('../utils/search');
+    const { endOfDay } = require('../utils/time');
     
     // Build query
     let query = { status: 'open', visibility: 'public' };
     
+    // Artists also see invite-only jobs they've been invited to (or just those, with invited=true)
+    if (req.user && req.user.userType === 'artist') {
+      const invitedOnly = {
+        visibility: 'invited_only',
+        invitations: { $elemMatch: { artist: req.user._id, status: { $ne: 'declined' } } }
+      };
+      
+      delete query.visibility;
+      if (req.query.invited === 'true') {
+        Object.assign(query, invitedOnly);
+      } else {
+        query.$or = [{ visibility: 'public' }, invitedOnly];
+      }
+    }
+    
     // Filtering
     if (req.query.category) {
       query.category = req.query.category;
@@ -104,10 +199,33 @@ router.get('/', optionalAuth, async (req, res) => {
       if (req.query.maxBudget) query['budget.max'].$lte = parseInt(req.query.maxBudget);
     }
     
+    // Event date window (eventDateFrom/eventDateTo are whole days)
+    if (req.query.eventDateFrom || req.query.eventDateTo) {
+      const from = req.query.eventDateFrom ? new Date(req.query.eventDateFrom) : null;
+      const to = req.query.eventDateTo ? endOfDay(req.query.eventDateTo) : null;
+      
+      if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Event dates must be in YYYY-MM-DD format'
+        });
+      }
+      
+      query['eventDetails.eventDate'] = {};
+      if (from) query['eventDetails.eventDate'].$gte = from;
+      if (to) query['eventDetails.eventDate'].$lte = to;
+    }
+    
+    // Full-text search (q=...), most relevant first unless another sort is asked for
+    const search = parseSearchQuery(req.query.q);
+    
     // Sorting
-    let sortBy = { createdAt: -1 };
+    let sortBy = search ? null : { createdAt: -1 };
     if (req.query.sort) {
       switch (req.query.sort) {
+        case 'newest':
+          sortBy = { createdAt: -1 };
+          break;
         case 'date':
           sortBy = { 'eventDetails.eventDate': 1 };
           break;
@@ -125,7 +243,81 @@ router.get('/', optionalAuth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
+    // Distance search (near=<postcode | lat,lng>&radiusKm=25), sorted nearest first
+    if (req.query.near) {
+      const { parseNear, geoNearSearch, withDistances } = require('../utils/geo');
+      
+      const point = parseNear(req.query.near);
+      if (!point) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not find a location for '${req.query.near}'`
+        });
+      }
+      
+      const radiusKm = Math.min(parseFloat(req.query.radiusKm) || 25, 500);
+      
+      // $text can't run inside $geoNear, so narrow the distance search to the text matches
+      let matches = null;
+      if (search) {
+        matches = await textSearch(Job, { search, weights: SEARCH_WEIGHTS.job, query, limit: MAX_NEAR_MATCHES });
+        query = { ...query, _id: { $in: matches.results.map(r => r._id) } };
+      }
+      
+      const { results, total } = await geoNearSearch(Job, { point, radiusKm, query, skip, limit });
+      
+      const jobs = await Job.find({ _id: { $in: results.map(r => r._id) } })
+        .select('-invitations')
+        .populate('client', 'firstName lastName location.city');
+      
+      const data = withDistances(jobs, results);
+      
+      return res.status(200).json({
+        success: true,
+        count: results.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        ...(matches && { search: { terms: search.terms, mode: matches.mode } }),
+        data: matches
+          ? withHighlights(data, matches.results, { search, weights: SEARCH_WEIGHTS.job, mode: matches.mode })
+          : data
+      });
+    }
+    
+    if (search) {
+      const { results, total, mode } = await textSearch(Job, {
+        search,
+        weights: SEARCH_WEIGHTS.job,
+        query,
+        sort: sortBy,
+        skip,
+        limit
+      });
+      
+      const jobs = await Job.find({ _id: { $in: results.map(r => r._id) } })
+        .select('-invitations')
+        .populate('client', 'firstName lastName location.city');
+      
+      return res.status(200).json({
+        success: true,
+        count: results.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        search: { terms: search.terms, mode },
+        data: withRelevance(jobs, results, { search, weights: SEARCH_WEIGHTS.job, mode })
+      });
+    }
+    
     const jobs = await Job.find(query)
+      .select('-invitations')
       .populate('client', 'firstName lastName location.city')
       .sort(sortBy)
       .limit(limit)
@@ -147,9 +339,9 @@ router.get('/', optionalAuth, async (req, res) => {
     
   } catch (error) {
     console.error('Get jobs error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.statusCode ? error.message : 'Server error'
     });
   }
 });
@@ -168,7 +360,8 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const job = await Job.findById(req.params.id)
       .populate('client', 'firstName lastName location.city profileImage');
     
-    if (!job) {
+    // Private and invite-only jobs look missing to anyone not involved
+    if (!job || !job.canUserView(req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
@@ -182,9 +375,24 @@ router.get('/:id', optionalAuth, async (req, res) => {
       await job.addView();
     }
     
+    // Only the owner sees who else was invited
+    const data = job.toJSON();
+    const isOwner = !!(req.user && job.client && job.client._id.toString() === req.user._id.toString());
+    if (!isOwner) {
+      data.invitations = (data.invitations || []).filter(invitation =>
+        req.user && invitation.artist.toString() === req.user._id.toString()
+      );
+    }
+    
+    // Artists see what other artists have said about the client
+    if (req.user && req.user.userType === 'artist' && job.client) {
+      const Review = require('../models/Review');
+      data.clientReputation = await Review.getClientReputation(job.client._id);
+    }
+    
     res.status(200).json({
       success: true,
-      data: job
+      data
     });
     
   } catch (error) {
@@ -216,9 +424,10 @@ router.post('/', protect, authorize('client'), createJobValidation, async (req,
     const mongoose = require('mongoose');
     const Notification = require('../models/Notification');
     
-    // Add client to job data
+    // Add client to job data (invitations are sent separately)
+    const { invitations, ...fields } = req.body;
     const jobData = {
-      ...req.body,
+      ...fields,
       client: req.user._id
     };
     
@@ -227,19 +436,32 @@ router.post('/', protect, authorize('client'), createJobValidation, async (req,
     // Populate the job with client details for notifications
     await job.populate('client', 'firstName lastName');
     
-    // Notify all artists about the new job
-    try {
-      await Notification.notifyArtistsOfNewJob(job);
-      console.log(`Successfully notified artists about new job: ${job.title}`);
-    } catch (notificationError) {
-      console.error('Error sending notifications:', notificationError);
-      // Don't fail the job creation if notifications fail
+    // Notify all artists about the new job (private and invite-only jobs reach artists by invitation)
+    if (job.visibility === 'public') {
+      // Saved search alerts first; those artists are left out of the general broadcast
+      let alerted = [];
+      try {
+        const { notifyJobAlerts } = require('../services/jobAlerts');
+        alerted = await notifyJobAlerts(job);
+      } catch (alertError) {
+        console.error('Error sending job alerts:', alertError);
+      }
+      
+      try {
+        await Notification.notifyArtistsOfNewJob(job, { exclude: alerted });
+        console.log(`Successfully notified artists about new job: ${job.title}`);
+      } catch (notificationError) {
+        console.error('Error sending notifications:', notificationError);
+        // Don't fail the job creation if notifications fail
+      }
     }
     
     res.status(201).json({
       success: true,
       data: job,
-      message: 'Job created successfully and artists have been notified'
+      message: job.visibility === 'public'
+        ? 'Job created successfully and artists have been notified'
+        : 'Job created successfully; invite artists to let them apply'
     });
     
   } catch (error) {
@@ -276,16 +498,35 @@ router.put('/:id', protect, checkJobAccess, updateJobValidation, async (req, res
     
     const Job = require('../models/Job');
     const mongoose = require('mongoose');
+    const { applyGeoLocation } = require('../utils/geo');
+    
+    // findByIdAndUpdate skips the pre-save hook, so resolve the location here
+    if (req.body.location) {
+      applyGeoLocation(req.body.location, { refreshFromPostcode: !req.body.location.coordinates });
+    }
+    
+    // Invitations have their own endpoints
+    const { invitations, ...updates } = req.body;
     
     const job = await Job.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       {
         new: true,
         runValidators: true
       }
     );
     
+    // Proposal scores depend on the budget and requirements
+    if (['budget', 'category', 'requirements', 'professionalRequirements'].some(field => updates[field] !== undefined)) {
+      try {
+        const { rescoreJobProposals } = require('../services/proposalScoring');
+        await rescoreJobProposals(job);
+      } catch (scoreError) {
+        console.error('Error rescoring proposals:', scoreError);
+      }
+    }
+    
     res.status(200).json({
       success: true,
       data: job
@@ -366,6 +607,329 @@ router.get('/client/me', protect, authorize('client'), async (req, res) => {
   }
 });
 
+// @desc    Book an artist directly (creates an invite-only job with their invitation)
+// @route   POST /api/jobs/direct-booking
+// @access  Private (Clients only)
+router.post('/direct-booking', protect, authorize('client'), directBookingValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const Job = require('../models/Job');
+    const Notification = require('../models/Notification');
+    const { assertArtistAvailable } = require('../services/availability');
+    
+    const { artistId, message, invitations, visibility, ...fields } = req.body;
+    
+    const [artist] = await findInvitableArtists([artistId]);
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+    
+    const job = new Job({
+      ...fields,
+      client: req.user._id,
+      // The artist can answer right up to the event rather than the usual week before
+      applicationDeadline: fields.eventDetails.eventDate,
+      visibility: 'invited_only',
+      invitations: [{ artist: artist._id, message, isDirectBooking: true }]
+    });
+    
+    // Don't send a request the artist's calendar can't take (409)
+    await assertArtistAvailable(artist._id, job);
+    
+    await job.save();
+    await job.populate('client', 'firstName lastName');
+    
+    try {
+      await Notification.notifyJobInvitations(job, [artist._id], { isDirectBooking: true });
+    } catch (notificationError) {
+      console.error('Error sending booking request notification:', notificationError);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `Booking request sent to ${artist.firstName}`,
+      data: job
+    });
+    
+  } catch (error) {
+    console.error('Direct booking error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error creating booking request'
+    });
+  }
+});
+
+// @desc    Get jobs the artist has been invited to
+// @route   GET /api/jobs/invitations/me
+// @access  Private (Artists only)
+router.get('/invitations/me', protect, authorize('artist'), async (req, res) => {
+  try {
+    const Job = require('../models/Job');
+    
+    const status = ['pending', 'applied', 'declined'].includes(req.query.status) ? req.query.status : 'pending';
+    
+    const jobs = await Job.find({
+      invitations: { $elemMatch: { artist: req.user._id, status } },
+      status: { $in: ['open', 'assigned', 'in_progress'] }
+    })
+      .populate('client', 'firstName lastName location.city profileImage')
+      .sort({ 'eventDetails.eventDate': 1 });
+    
+    // Only show the artist their own invitation
+    const data = jobs.map(job => {
+      const invitation = job.invitations.find(invite => invite.artist.toString() === req.user._id.toString());
+      const result = job.toJSON();
+      delete result.invitations;
+      return { ...result, invitation };
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+    
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Invite artists to a job (by id or from the client's favourites)
+// @route   POST /api/jobs/:id/invitations
+// @access  Private (Job owner only)
+router.post('/:id/invitations', protect, checkJobAccess, invitationValidation, async (req, res) => {
+  try {
+    if (!req.isJobOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only job owner can invite artists'
+      });
+    }
+    
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const Notification = require('../models/Notification');
+    const job = req.job;
+    
+    if (job.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Artists can only be invited to open jobs'
+      });
+    }
+    
+    const requested = req.body.fromFavorites
+      ? ((req.user.clientProfile && req.user.clientProfile.favoriteArtists) || [])
+      : (req.body.artistIds || []);
+    
+    if (!requested.length) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.fromFavorites ? 'You have no favourite artists yet' : 'Choose at least one artist to invite'
+      });
+    }
+    
+    const artists = await findInvitableArtists(requested);
+    if (!artists.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching artists found'
+      });
+    }
+    
+    const alreadyInvited = new Set(job.invitations.map(invitation => invitation.artist.toString()));
+    const newCount = artists.filter(artist => !alreadyInvited.has(artist._id.toString())).length;
+    
+    if (job.invitations.length + newCount > MAX_INVITATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A job can have at most ${MAX_INVITATIONS} invitations`
+      });
+    }
+    
+    const added = await job.inviteArtists(artists.map(artist => artist._id), { message: req.body.message });
+    
+    if (added.length) {
+      await job.populate('client', 'firstName lastName');
+      try {
+        await Notification.notifyJobInvitations(job, added.map(invitation => invitation.artist));
+      } catch (notificationError) {
+        console.error('Error sending invitation notifications:', notificationError);
+      }
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: added.length ? `${added.length} artist(s) invited` : 'All of these artists were already invited',
+      count: added.length,
+      data: added
+    });
+    
+  } catch (error) {
+    console.error('Invite artists error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @desc    Get a job's invitations
+// @route   GET /api/jobs/:id/invitations
+// @access  Private (Job owner only)
+router.get('/:id/invitations', protect, checkJobAccess, async (req, res) => {
+  try {
+    if (!req.isJobOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only job owner can view invitations'
+      });
+    }
+    
+    await req.job.populate('invitations.artist', 'firstName lastName profileImage location.city artistProfile.rating artistProfile.specialties');
+    
+    res.status(200).json({
+      success: true,
+      count: req.job.invitations.length,
+      data: req.job.invitations
+    });
+    
+  } catch (error) {
+    console.error('Get job invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Withdraw an invitation the artist hasn't acted on
+// @route   DELETE /api/jobs/:id/invitations/:artistId
+// @access  Private (Job owner only)
+router.delete('/:id/invitations/:artistId', protect, checkJobAccess, async (req, res) => {
+  try {
+    if (!req.isJobOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only job owner can withdraw invitations'
+      });
+    }
+    
+    const Job = require('../models/Job');
+    const mongoose = require('mongoose');
+    
+    const result = mongoose.Types.ObjectId.isValid(req.params.artistId)
+      ? await Job.updateOne(
+        { _id: req.job._id },
+        { $pull: { invitations: { artist: req.params.artistId, status: 'pending' } } }
+      )
+      : { modifiedCount: 0 };
+    
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation found for this artist'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Invitation withdrawn'
+    });
+    
+  } catch (error) {
+    console.error('Withdraw invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Decline an invitation or direct booking request
+// @route   PUT /api/jobs/:id/invitation/decline
+// @access  Private (Invited artist only)
+router.put('/:id/invitation/decline', protect, authorize('artist'), async (req, res) => {
+  try {
+    const Job = require('../models/Job');
+    const mongoose = require('mongoose');
+    
+    const job = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Job.findById(req.params.id)
+      : null;
+    
+    if (!job || !job.isArtistInvited(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+    
+    const result = await job.respondToInvitation(req.user._id, 'declined');
+    
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already responded to this invitation'
+      });
+    }
+    
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.create({
+        recipient: job.client,
+        type: 'job_invitation',
+        title: 'Invitation declined',
+        message: `${req.user.firstName} declined your invitation to "${job.title}"`,
+        relatedJob: job._id,
+        relatedUser: req.user._id,
+        actionUrl: `/jobs/${job._id}`
+      });
+    } catch (notificationError) {
+      console.error('Error sending invitation notification:', notificationError);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+    
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Assign artist to job
 // @route   PUT /api/jobs/:id/assign
 // @access  Private (Job owner only)
@@ -378,51 +942,206 @@ router.put('/:id/assign', protect, checkJobAccess, async (req, res) => {
       });
     }
     
-    const Job = require('../models/Job');
-    const mongoose = require('mongoose');
     const Proposal = require('../models/Proposal');
+    const { acceptProposal } = require('../services/booking');
     
     const { proposalId } = req.body;
     
     const proposal = await Proposal.findById(proposalId);
-    if (!proposal) {
+    if (!proposal || proposal.job.toString() !== req.job._id.toString()) {
       return res.status(404).json({
         success: false,
         message: 'Proposal not found'
       });
     }
     
-    // Update job
-    const job = await Job.findByIdAndUpdate(
-      req.params.id,
-      {
-        status: 'assigned',
-        assignedArtist: proposal.artist,
-        selectedProposal: proposalId,
-        'applications.acceptingApplications': false
-      },
-      { new: true }
+    // Same as accepting the proposal: only pending ones, on the artist's open counter-offer if there is one
+    const { job } = await acceptProposal(proposal, req.job, req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+    
+  } catch (error) {
+    console.error('Assign artist error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error assigning artist'
+    });
+  }
+});
+
+// @desc    Start job (artist has arrived / work has begun)
+// @route   PUT /api/jobs/:id/start
+// @access  Private (Job owner or assigned artist)
+router.put('/:id/start', protect, checkJobAccess, async (req, res) => {
+  try {
+    const job = req.job;
+    
+    if (!job.assignedArtist) {
+      return res.status(400).json({
+        success: false,
+        message: 'An artist must be assigned before the job can start'
+      });
+    }
+    
+    // Work can't begin before the day of the event
+    const eventDay = new Date(job.eventDetails.eventDate);
+    eventDay.setHours(0, 0, 0, 0);
+    if (Date.now() < eventDay.getTime()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Job cannot be started before the event date'
+      });
+    }
+    
+    // When payments are taken through the platform the balance must be settled first
+    if (['deposit_requested', 'deposit_paid', 'balance_requested'].includes(job.payment && job.payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The balance must be paid before the job can start'
+      });
+    }
+    
+    const updatedJob = await job.transitionTo('in_progress', {
+      actor: req.user._id,
+      actorType: req.isJobOwner ? 'client' : 'artist'
+    });
+    
+    await notifyOtherParty(
+      updatedJob,
+      req,
+      'job_started',
+      'Job started',
+      `"${updatedJob.title}" has been marked as in progress`
     );
     
-    // Update proposal status
-    await Proposal.findByIdAndUpdate(proposalId, { status: 'accepted' });
+    res.status(200).json({
+      success: true,
+      message: 'Job started',
+      data: updatedJob
+    });
+    
+  } catch (error) {
+    console.error('Start job error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error starting job'
+    });
+  }
+});
+
+// @desc    Complete job
+// @route   PUT /api/jobs/:id/complete
+// @access  Private (Job owner or assigned artist)
+router.put('/:id/complete', protect, checkJobAccess, async (req, res) => {
+  try {
+    const job = await req.job.transitionTo('completed', {
+      actor: req.user._id,
+      actorType: req.isJobOwner ? 'client' : 'artist'
+    });
     
-    // Decline other proposals
-    await Proposal.updateMany(
-      { job: req.params.id, _id: { $ne: proposalId } },
-      { status: 'declined' }
+    await notifyOtherParty(
+      job,
+      req,
+      'job_completed',
+      'Job completed',
+      `"${job.title}" has been marked as completed`
     );
     
+    // Open the review requests both sides will be reminded about
+    try {
+      const ReviewRequest = require('../models/ReviewRequest');
+      await ReviewRequest.createForJob(job);
+    } catch (requestError) {
+      console.error('Error creating review requests:', requestError);
+    }
+    
     res.status(200).json({
       success: true,
+      message: 'Job completed',
       data: job
     });
     
   } catch (error) {
-    console.error('Assign artist error:', error);
-    res.status(500).json({
+    console.error('Complete job error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error completing job'
+    });
+  }
+});
+
+// @desc    Cancel job
+// @route   PUT /api/jobs/:id/cancel
+// @access  Private (Job owner or assigned artist)
+router.put('/:id/cancel', protect, checkJobAccess, cancelJobValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const Proposal = require('../models/Proposal');
+    
+    const job = await req.job.transitionTo('cancelled', {
+      actor: req.user._id,
+      actorType: req.isJobOwner ? 'client' : 'artist',
+      reason: req.body.reason
+    });
+    
+    // Free the artist's calendar
+    if (job.assignedArtist) {
+      const { releaseArtistForJob } = require('../services/availability');
+      await releaseArtistForJob(job.assignedArtist, job._id);
+    }
+    
+    // Close out proposals that were still waiting for a decision
+    await Proposal.updateMany(
+      { job: job._id, status: 'pending' },
+      {
+        status: 'rejected',
+        'clientResponse.message': 'Job was cancelled',
+        'clientResponse.respondedAt': new Date()
+      }
+    );
+    
+    // Cancel open payment requests and refund per the proposal's cancellation policy
+    let refund = null;
+    try {
+      const { refundForCancellation } = require('../services/payments');
+      refund = await refundForCancellation(job);
+    } catch (refundError) {
+      console.error('Error refunding cancelled job:', refundError);
+    }
+    
+    await notifyOtherParty(
+      job,
+      req,
+      'job_cancelled',
+      'Job cancelled',
+      `"${job.title}" has been cancelled: ${req.body.reason}`.substring(0, 500)
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Job cancelled',
+      data: job,
+      refund
+    });
+    
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error assigning artist'
+      message: error.statusCode ? error.message : 'Server error cancelling job'
     });
   }
 });
@@ -8,14 +8,14 @@ const router = express.Router();
 // @access  Private
 router.get('/conversations', protect, async (req, res) => {
   try {
-    const Message = require('../models/Message');
+    const Conversation = require('../models/Conversation');
     
-    const conversations = await Message.findUserConversations(req.user._id);
+    const conversations = await Conversation.findForUser(req.user._id);
     
     res.status(200).json({
       success: true,
       count: conversations.length,
-      data: conversations
+      data: conversations.map(conversation => conversation.toSummary(req.user._id))
     });
     
   } catch (error) {
@@ -33,11 +33,12 @@ router.get('/conversations', protect, async (req, res) => {
 router.get('/conversation/:userId', protect, async (req, res) => {
   try {
     const Message = require('../models/Message');
+    const { markConversationRead } = require('../services/realtime');
     
     const messages = await Message.findConversation(req.user._id, req.params.userId);
     
-    // Mark messages as read
-    await Message.markAsRead([req.user._id, req.params.userId], req.user._id);
+    // Mark messages as read and send a read receipt to the other participant
+    await markConversationRead(req.user._id, req.params.userId);
     
     res.status(200).json({
       success: true,
@@ -61,11 +62,22 @@ router.post('/', protect, async (req, res) => {
   try {
     const Message = require('../models/Message');
     
-    const { recipient, content } = req.body;
+    const { recipient, content, jobId, proposalId } = req.body;
+    
+    const conversation = {};
+    if (proposalId) {
+      conversation.type = 'proposal';
+      conversation.relatedProposal = proposalId;
+    }
+    if (jobId) {
+      conversation.type = conversation.type || 'job';
+      conversation.relatedJob = jobId;
+    }
     
     const message = await Message.create({
       sender: req.user._id,
       recipient,
+      conversation,
       content: {
         type: 'text',
         text: content
@@ -1,9 +1,28 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { protect } = require('../middleware/auth');
 const Notification = require('../models/Notification');
 
 const router = express.Router();
 
+// notificationPreferences keys that can be switched on and off
+const PREFERENCE_FLAGS = [
+  'newJobs', 'proposals', 'messages', 'jobAlerts',
+  'email.newJobs', 'email.proposals', 'email.messages', 'email.marketing', 'email.jobAlerts'
+];
+
+const preferencesValidation = [
+  body(PREFERENCE_FLAGS)
+    .optional()
+    .isBoolean()
+    .withMessage('Preferences must be true or false')
+    .toBoolean(),
+  body('jobAlertFrequency')
+    .optional()
+    .isIn(['instant', 'daily_digest'])
+    .withMessage('Job alert frequency must be instant or daily_digest')
+];
+
 // @desc    Get user notifications
 // @route   GET /api/notifications
 // @access  Private
@@ -189,4 +208,58 @@ router.delete('/clear-read', protect, async (req, res) => {
   }
 });
 
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.user.notificationPreferences
+  });
+});
+
+// @desc    Update notification preferences (only the keys sent are changed)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', protect, preferencesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
+    const User = require('../models/User');
+    
+    const update = {};
+    PREFERENCE_FLAGS.forEach(key => {
+      const [group, name] = key.split('.');
+      const value = name ? (req.body[group] || {})[name] : req.body[group];
+      if (typeof value === 'boolean') update[`notificationPreferences.${key}`] = value;
+    });
+    if (req.body.jobAlertFrequency) {
+      update['notificationPreferences.jobAlertFrequency'] = req.body.jobAlertFrequency;
+    }
+    
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('notificationPreferences');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: user.notificationPreferences
+    });
+    
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating preferences'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,303 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { protect, authorize, checkJobAccess } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+const requestPaymentValidation = [
+  body('type')
+    .isIn(['deposit', 'balance'])
+    .withMessage('Payment type must be deposit or balance'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than zero')
+    .toFloat(),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date')
+    .toDate(),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+const refundValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than zero')
+    .toFloat(),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 300 })
+    .withMessage('Refund reason must be between 5 and 300 characters')
+];
+
+const simulateValidation = [
+  param('status')
+    .isIn(['succeeded', 'failed'])
+    .withMessage('Status must be succeeded or failed')
+];
+
+// Load a payment the current user is party to (sets req.payment)
+const loadPayment = async (req, res, next) => {
+  try {
+    const Payment = require('../models/Payment');
+    const mongoose = require('mongoose');
+
+    const payment = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Payment.findById(req.params.id)
+      : null;
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    if (payment.client.toString() !== userId && payment.artist.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this payment'
+      });
+    }
+
+    req.payment = payment;
+    next();
+
+  } catch (error) {
+    console.error('Load payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a job's payment ledger and summary
+// @route   GET /api/payments/job/:jobId
+// @access  Private (Job owner or assigned artist)
+router.get('/job/:jobId', protect, checkJobAccess, async (req, res) => {
+  try {
+    const Payment = require('../models/Payment');
+
+    const payments = await Payment.getJobLedger(req.job._id);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: {
+        summary: req.job.payment,
+        payments
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Request a deposit or balance payment from the client
+// @route   POST /api/payments/job/:jobId/request
+// @access  Private (Assigned artist only)
+router.post('/job/:jobId/request', protect, authorize('artist'), checkJobAccess, requestPaymentValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.isAssignedArtist) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assigned artist can request payments'
+      });
+    }
+
+    const { requestPayment } = require('../services/payments');
+
+    const payment = await requestPayment(req.job, {
+      type: req.body.type,
+      amount: req.body.amount,
+      dueDate: req.body.dueDate,
+      description: req.body.description,
+      requestedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment requested',
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Request payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error requesting payment'
+    });
+  }
+});
+
+// @desc    Get a single payment
+// @route   GET /api/payments/:id
+// @access  Private (Client or artist on the payment)
+router.get('/:id', protect, loadPayment, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.payment
+  });
+});
+
+// @desc    Pay a requested payment (starts a charge with the provider)
+// @route   POST /api/payments/:id/pay
+// @access  Private (Client on the payment)
+router.post('/:id/pay', protect, authorize('client'), loadPayment, async (req, res) => {
+  try {
+    if (req.payment.client.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the client can pay this payment'
+      });
+    }
+
+    const { payPayment } = require('../services/payments');
+    const payment = await payPayment(req.payment);
+
+    res.status(200).json({
+      success: true,
+      message: payment.status === 'succeeded' ? 'Payment completed' : 'Payment started',
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Pay payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error processing payment'
+    });
+  }
+});
+
+// @desc    Refund part or all of a payment
+// @route   POST /api/payments/:id/refund
+// @access  Private (Artist on the payment)
+router.post('/:id/refund', protect, authorize('artist'), loadPayment, refundValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (req.payment.artist.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the artist can refund this payment'
+      });
+    }
+
+    const { refundPayment } = require('../services/payments');
+    const refund = await refundPayment(req.payment, req.body.amount, {
+      reason: req.body.reason,
+      requestedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund issued',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error issuing refund'
+    });
+  }
+});
+
+// @desc    Payment provider callback
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified by the provider)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const { handleWebhook } = require('../services/payments');
+    const payment = await handleWebhook(req.params.provider, req);
+
+    res.status(200).json({
+      success: true,
+      received: true,
+      data: payment ? { id: payment._id, status: payment.status } : null
+    });
+
+  } catch (error) {
+    // Settled payments ignore late or duplicate events; acknowledge so the provider stops retrying
+    if (error.statusCode === 409) {
+      return res.status(200).json({
+        success: true,
+        received: true,
+        message: error.message
+      });
+    }
+
+    console.error('Payment webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error handling webhook'
+    });
+  }
+});
+
+// @desc    Simulate the fake provider reporting a charge outcome
+// @route   POST /api/payments/fake/:reference/:status
+// @access  Public (disabled in production)
+router.post('/fake/:reference/:status', simulateValidation, async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: `Route ${req.originalUrl} not found`
+      });
+    }
+
+    if (sendValidationErrors(req, res)) return;
+
+    const { handleWebhook } = require('../services/payments');
+    const fakeProvider = require('../services/payments/fakeProvider');
+
+    // Run the same path a real callback would take
+    const webhook = fakeProvider.buildWebhook(req.params.reference, req.params.status, req.body.failureReason);
+    const payment = await handleWebhook('fake', {
+      headers: webhook.headers,
+      rawBody: Buffer.from(webhook.body),
+      body: JSON.parse(webhook.body)
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require('express');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { body, param } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { upload, imagePathFromUrl } = require('../middleware/upload');
+const { sendValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+const MAX_PORTFOLIO_ITEMS = 30;
+
+// Design styles a portfolio item can be filed under (artist specialties plus job design styles)
+const PORTFOLIO_STYLES = [
+  'bridal', 'party', 'festival', 'corporate', 'traditional', 'modern', 'arabic', 'indian',
+  'simple', 'intricate', 'floral', 'geometric'
+];
+
+const itemValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Caption cannot exceed 300 characters'),
+  body('category')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(PORTFOLIO_STYLES)
+    .withMessage(`Category must be one of: ${PORTFOLIO_STYLES.join(', ')}`)
+];
+
+const addItemValidation = [
+  ...itemValidation,
+  body('imageUrl')
+    .optional()
+    .trim(),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be 0 or more')
+    .toInt()
+];
+
+const itemIdValidation = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid portfolio item')
+];
+
+const orderValidation = [
+  body('itemIds')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('itemIds must list the portfolio items in their new order'),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Invalid portfolio item')
+];
+
+// Remove an image file, ignoring one that's already gone
+const removeImageFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not remove ${filePath}:`, error.message);
+  }
+};
+
+// Throw away a file multer saved for a request we're rejecting
+const discardUpload = async (req) => {
+  if (req.file) await removeImageFile(req.file.path);
+};
+
+// Portfolio changes can move the artist's proposal scores (jobs may ask for a number of samples)
+const rescoreProposals = async (artistId) => {
+  try {
+    const { rescoreArtistProposals } = require('../services/proposalScoring');
+    await rescoreArtistProposals(artistId);
+  } catch (scoreError) {
+    console.error('Error rescoring proposals after portfolio change:', scoreError);
+  }
+};
+
+const loadPortfolio = (userId) => {
+  const User = require('../models/User');
+  return User.findById(userId).select('profileImage artistProfile.portfolio');
+};
+
+router.use(protect, authorize('artist'));
+
+// @desc    Get my portfolio
+// @route   GET /api/portfolio
+// @access  Private (Artists only)
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadPortfolio(req.user._id);
+    const portfolio = user.artistProfile.portfolio || [];
+
+    res.status(200).json({
+      success: true,
+      count: portfolio.length,
+      data: {
+        maxItems: MAX_PORTFOLIO_ITEMS,
+        items: portfolio
+      }
+    });
+
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Add a portfolio item (multipart `image` upload, or the imageUrl from POST /api/upload/image)
+// @route   POST /api/portfolio
+// @access  Private (Artists only)
+router.post('/', upload.single('image'), addItemValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      await discardUpload(req);
+      return;
+    }
+
+    const User = require('../models/User');
+
+    let imageUrl;
+    if (req.file) {
+      imageUrl = `/uploads/images/${req.file.filename}`;
+    } else {
+      const filePath = imagePathFromUrl(req.body.imageUrl);
+      if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Upload an image, or give the imageUrl returned by POST /api/upload/image'
+        });
+      }
+      imageUrl = req.body.imageUrl;
+    }
+
+    const item = {
+      _id: new mongoose.Types.ObjectId(),
+      imageUrl,
+      description: req.body.description,
+      category: req.body.category,
+      // Only files uploaded with this request are known to be the artist's to delete later
+      isUploaded: !!req.file,
+      addedAt: new Date()
+    };
+
+    const push = { $each: [item] };
+    if (req.body.position !== undefined) push.$position = req.body.position;
+
+    // Atomic add that also enforces the size limit
+    const result = await User.updateOne(
+      { _id: req.user._id, [`artistProfile.portfolio.${MAX_PORTFOLIO_ITEMS - 1}`]: { $exists: false } },
+      { $push: { 'artistProfile.portfolio': push } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: `A portfolio can hold up to ${MAX_PORTFOLIO_ITEMS} items`
+      });
+    }
+
+    await rescoreProposals(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Portfolio item added',
+      data: item
+    });
+
+  } catch (error) {
+    await discardUpload(req);
+    console.error('Add portfolio item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reorder the portfolio
+// @route   PUT /api/portfolio/order
+// @access  Private (Artists only)
+router.put('/order', orderValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const User = require('../models/User');
+
+    const user = await loadPortfolio(req.user._id);
+    const portfolio = user.artistProfile.portfolio || [];
+    const byId = new Map(portfolio.map(item => [item._id.toString(), item]));
+    const itemIds = req.body.itemIds.map(String);
+
+    if (itemIds.length !== portfolio.length || new Set(itemIds).size !== itemIds.length ||
+        !itemIds.every(id => byId.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must list every portfolio item exactly once'
+      });
+    }
+
+    const reordered = itemIds.map(id => byId.get(id).toObject());
+
+    // Only write if nobody added or removed an item in the meantime
+    const result = await User.updateOne(
+      {
+        _id: req.user._id,
+        'artistProfile.portfolio': { $size: portfolio.length },
+        'artistProfile.portfolio._id': { $all: portfolio.map(item => item._id) }
+      },
+      { $set: { 'artistProfile.portfolio': reordered } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your portfolio changed while reordering; please try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Portfolio reordered',
+      data: reordered
+    });
+
+  } catch (error) {
+    console.error('Reorder portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Change a portfolio item's caption or category
+// @route   PUT /api/portfolio/:itemId
+// @access  Private (Artists only)
+router.put('/:itemId', itemIdValidation, itemValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const User = require('../models/User');
+
+    const update = {};
+    if (req.body.description !== undefined) update['artistProfile.portfolio.$.description'] = req.body.description;
+    if (req.body.category !== undefined) update['artistProfile.portfolio.$.category'] = req.body.category;
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update; send a description or category'
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, 'artistProfile.portfolio._id': req.params.itemId },
+      { $set: update },
+      { new: true }
+    ).select('artistProfile.portfolio');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio item not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Portfolio item updated',
+      data: user.artistProfile.portfolio.id(req.params.itemId)
+    });
+
+  } catch (error) {
+    console.error('Update portfolio item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a portfolio item (and its image, if it was uploaded with the item)
+// @route   DELETE /api/portfolio/:itemId
+// @access  Private (Artists only)
+router.delete('/:itemId', itemIdValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const User = require('../models/User');
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, 'artistProfile.portfolio._id': req.params.itemId },
+      { $pull: { 'artistProfile.portfolio': { _id: req.params.itemId } } }
+    ).select('profileImage artistProfile.portfolio');
+
+    const item = user && user.artistProfile.portfolio.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio item not found'
+      });
+    }
+
+    // Keep the file if the artist still uses the image elsewhere on their profile
+    const filePath = item.isUploaded ? imagePathFromUrl(item.imageUrl) : null;
+    const stillUsed = user.profileImage === item.imageUrl ||
+      user.artistProfile.portfolio.some(other => !other._id.equals(item._id) && other.imageUrl === item.imageUrl);
+    if (filePath && !stillUsed) await removeImageFile(filePath);
+
+    await rescoreProposals(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Portfolio item deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete portfolio item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
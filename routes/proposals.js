@@ -1,10 +1,14 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, param, query } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Proposal validation rules
+// Design styles a job can ask for (Job requirements.designStyle), which proposals are scored against
+const DESIGN_STYLES = ['traditional', 'modern', 'arabic', 'indian', 'bridal', 'simple', 'intricate', 'floral', 'geometric'];
+
 const createProposalValidation = [
   body('message')
     .trim()
@@ -22,9 +26,107 @@ const createProposalValidation = [
     .optional()
     .isNumeric()
     .isFloat({ min: 0 })
-    .withMessage('Years of experience must be a positive number')
+    .withMessage('Years of experience must be a positive number'),
+  body('experience.specializations')
+    .optional()
+    .isArray({ max: DESIGN_STYLES.length })
+    .withMessage('Specializations must be a list of design styles'),
+  body('experience.specializations.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isIn(DESIGN_STYLES)
+    .withMessage(`Each specialization must be one of: ${DESIGN_STYLES.join(', ')}`)
 ];
 
+// Counter-offer validation rules
+const counterOfferValidation = [
+  body('totalPrice')
+    .optional()
+    .isFloat({ min: 10 })
+    .withMessage('Total price must be at least £10'),
+  body('estimatedDuration.value')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Estimated duration must be at least 1 hour'),
+  body('estimatedDuration.unit')
+    .optional()
+    .isIn(['hours', 'days'])
+    .withMessage('Duration unit must be hours or days'),
+  body('startTime')
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:MM format'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+// Triage validation rules
+const triageValidation = [
+  body('shortlisted')
+    .optional()
+    .isBoolean()
+    .withMessage('Shortlisted must be true or false')
+    .toBoolean(),
+  body('hidden')
+    .optional()
+    .isBoolean()
+    .withMessage('Hidden must be true or false')
+    .toBoolean(),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Tags must be a list of up to 10 labels'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters')
+];
+
+const jobProposalsValidation = [
+  query('tag')
+    .optional()
+    .isString()
+    .withMessage('Filter by one tag at a time')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters')
+];
+
+// Most proposals shown side by side
+const MAX_COMPARE = 5;
+
+const routeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Load a proposal and its job for the artist or the job owner
+const loadProposalParty = async (req) => {
+  const Proposal = require('../models/Proposal');
+  const Job = require('../models/Job');
+  
+  const proposal = await Proposal.findById(req.params.id);
+  if (!proposal) throw routeError('Proposal not found', 404);
+  
+  const job = await Job.findById(proposal.job);
+  if (!job) throw routeError('Job not found', 404);
+  
+  const userId = req.user._id.toString();
+  let party = null;
+  if (job.client.toString() === userId) party = 'client';
+  else if (proposal.artist.toString() === userId) party = 'artist';
+  
+  if (!party) throw routeError('Access denied', 403);
+  
+  return { proposal, job, party };
+};
+
 // @desc    Create new proposal
 // @route   POST /api/proposals
 // @access  Private (Artists only)
@@ -47,7 +149,9 @@ router.post('/', protect, authorize('artist'), createProposalValidation, async (
     }
 
     const Proposal = require('../models/Proposal');
+    const ProposalRevision = require('../models/ProposalRevision');
     const Job = require('../models/Job');
+    const { updateProposalScore } = require('../services/proposalScoring');
     
     const { jobId, message, pricing, timeline, experience, coverLetter, terms } = req.body;
     
@@ -60,10 +164,13 @@ router.post('/', protect, authorize('artist'), createProposalValidation, async (
       });
     }
     
-    if (job.status !== 'open' || !job.applications.acceptingApplications) {
-      return res.status(400).json({
+    if (!job.canArtistApply(req.user._id)) {
+      const uninvited = job.visibility !== 'public' && !job.isArtistInvited(req.user._id);
+      return res.status(uninvited ? 403 : 400).json({
         success: false,
-        message: 'This job is no longer accepting applications'
+        message: uninvited
+          ? 'This job is open to invited artists only'
+          : 'This job is no longer accepting applications'
       });
     }
     
@@ -97,7 +204,8 @@ router.post('/', protect, authorize('artist'), createProposalValidation, async (
       },
       experience: {
         yearsOfExperience: experience?.yearsOfExperience || 0,
-        relevantExperience: experience?.relevantExperience || ''
+        relevantExperience: experience?.relevantExperience || '',
+        specializations: [...new Set(experience?.specializations || [])]
       },
       coverLetter: coverLetter || '',
       terms: {
@@ -108,11 +216,22 @@ router.post('/', protect, authorize('artist'), createProposalValidation, async (
     });
     
     await proposal.save();
+    await ProposalRevision.record(proposal, { editedBy: req.user._id, source: 'created' });
+    
+    try {
+      await updateProposalScore(proposal, job);
+    } catch (scoreError) {
+      console.error('Error scoring proposal:', scoreError);
+    }
     
     // Add proposal reference to job
     job.applications.received.push(proposal._id);
     await job.save();
     
+    if (job.isArtistInvited(req.user._id)) {
+      await job.respondToInvitation(req.user._id, 'applied');
+    }
+    
     // Populate proposal before returning
     await proposal.populate('artist', 'firstName lastName profileImage location.city');
     await proposal.populate('job', 'title eventDetails.eventDate location.city budget');
@@ -155,6 +274,7 @@ router.get('/my-proposals', protect, authorize('artist'), async (req, res) => {
     const skip = (page - 1) * limit;
     
     const proposals = await Proposal.find(query)
+      .select('+competitiveness.feedback')
       .populate({
         path: 'job',
         select: 'title eventDetails.eventDate location.city budget status client',
@@ -197,8 +317,19 @@ router.get('/my-proposals', protect, authorize('artist'), async (req, res) => {
 // @desc    Get proposals for a job
 // @route   GET /api/proposals/job/:jobId
 // @access  Private (Job owner only)
-router.get('/job/:jobId', protect, async (req, res) => {
+router.get('/job/:jobId', protect, jobProposalsValidation, async (req, res) => {
   try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
     const Job = require('../models/Job');
     const Proposal = require('../models/Proposal');
     
@@ -218,10 +349,15 @@ router.get('/job/:jobId', protect, async (req, res) => {
       });
     }
     
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status, shortlisted, tag, hidden, sort, page = 1, limit = 10 } = req.query;
     
     const proposals = await Proposal.getJobProposals(req.params.jobId, {
       status,
+      sort,
+      withTriage: true,
+      shortlisted: shortlisted === 'true',
+      tag,
+      hidden,
       limit: parseInt(limit)
     });
     
@@ -240,6 +376,80 @@ router.get('/job/:jobId', protect, async (req, res) => {
   }
 });
 
+// @desc    Compare proposals side by side (the given ids, or the shortlist)
+// @route   GET /api/proposals/job/:jobId/compare?ids=a,b,c
+// @access  Private (Job owner only)
+router.get('/job/:jobId/compare', protect, authorize('client'), async (req, res) => {
+  try {
+    const Job = require('../models/Job');
+    const Proposal = require('../models/Proposal');
+    const { compareProposals } = require('../services/proposalComparison');
+    
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    
+    if (job.client.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    
+    if (ids.length > MAX_COMPARE) {
+      return res.status(400).json({
+        success: false,
+        message: `You can compare up to ${MAX_COMPARE} proposals at a time`
+      });
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid proposal id'
+      });
+    }
+    
+    const filter = { job: job._id, status: { $ne: 'withdrawn' } };
+    if (ids.length) {
+      filter._id = { $in: ids };
+    } else {
+      filter['clientTriage.shortlisted'] = true;
+    }
+    
+    const proposals = await Proposal.find(filter)
+      .select('+clientTriage')
+      .populate('artist', 'firstName lastName profileImage location.city location.coordinates artistProfile.experience artistProfile.rating artistProfile.documents artistProfile.portfolio artistProfile.isVerified')
+      .sort({ submittedAt: 1 })
+      .limit(MAX_COMPARE);
+    
+    if (proposals.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select or shortlist at least two proposals to compare'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      count: proposals.length,
+      data: compareProposals(job, proposals)
+    });
+    
+  } catch (error) {
+    console.error('Compare proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get single proposal
 // @route   GET /api/proposals/:id
 // @access  Private (Proposal owner or job owner)
@@ -269,6 +479,11 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
     
+    // Lets the artist's later edits be flagged to the client
+    if (isJobOwner) {
+      await proposal.markViewedByClient();
+    }
+    
     res.status(200).json({
       success: true,
       data: proposal
@@ -300,6 +515,9 @@ router.put('/:id', protect, authorize('artist'), createProposalValidation, async
     }
 
     const Proposal = require('../models/Proposal');
+    const ProposalRevision = require('../models/ProposalRevision');
+    const Notification = require('../models/Notification');
+    const { updateProposalScore } = require('../services/proposalScoring');
     
     const proposal = await Proposal.findById(req.params.id);
     
@@ -328,6 +546,9 @@ router.put('/:id', protect, authorize('artist'), createProposalValidation, async
     
     const { message, pricing, timeline, experience, coverLetter, terms } = req.body;
     
+    // Keep the version the client may already have read
+    await ProposalRevision.ensureBaseline(proposal);
+    
     // Update proposal
     proposal.message = message;
     proposal.pricing.totalPrice = pricing.totalPrice;
@@ -336,6 +557,7 @@ router.put('/:id', protect, authorize('artist'), createProposalValidation, async
     proposal.timeline.estimatedDuration.unit = timeline.estimatedDuration.unit || 'hours';
     proposal.experience.yearsOfExperience = experience?.yearsOfExperience || 0;
     proposal.experience.relevantExperience = experience?.relevantExperience || '';
+    proposal.experience.specializations = [...new Set(experience?.specializations || [])];
     proposal.coverLetter = coverLetter || '';
     proposal.terms.paymentTerms = terms?.paymentTerms || '';
     proposal.terms.cancellationPolicy = terms?.cancellationPolicy || '';
@@ -343,8 +565,28 @@ router.put('/:id', protect, authorize('artist'), createProposalValidation, async
     
     await proposal.save();
     
+    const revision = await ProposalRevision.record(proposal, { editedBy: req.user._id });
+    
+    try {
+      await updateProposalScore(proposal);
+    } catch (scoreError) {
+      console.error('Error scoring proposal:', scoreError);
+    }
+    
     await proposal.populate('artist', 'firstName lastName profileImage location.city');
-    await proposal.populate('job', 'title eventDetails.eventDate location.city budget');
+    await proposal.populate('job', 'title eventDetails.eventDate location.city budget client');
+    
+    if (revision) {
+      proposal.revision = revision.version;
+      
+      if (proposal.clientViewedAt) {
+        try {
+          await Notification.notifyProposalRevised(proposal, proposal.job, revision);
+        } catch (notificationError) {
+          console.error('Error sending proposal revision notification:', notificationError);
+        }
+      }
+    }
     
     res.status(200).json({
       success: true,
@@ -361,6 +603,70 @@ router.put('/:id', protect, authorize('artist'), createProposalValidation, async
   }
 });
 
+// @desc    Shortlist, hide or tag a proposal (private to the job owner)
+// @route   PUT /api/proposals/:id/triage
+// @access  Private (Job owner only)
+router.put('/:id/triage', protect, authorize('client'), triageValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const Proposal = require('../models/Proposal');
+    
+    const { proposal, party } = await loadProposalParty(req);
+    
+    if (party !== 'client') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const { shortlisted, hidden, tags } = req.body;
+    const set = { 'clientTriage.updatedAt': new Date() };
+    
+    // A proposal can't be both shortlisted and hidden
+    if (shortlisted !== undefined) {
+      set['clientTriage.shortlisted'] = shortlisted;
+      if (shortlisted) set['clientTriage.hidden'] = false;
+    }
+    if (hidden !== undefined) {
+      set['clientTriage.hidden'] = hidden;
+      if (hidden) set['clientTriage.shortlisted'] = false;
+    }
+    if (tags !== undefined) {
+      set['clientTriage.tags'] = [...new Set(tags.map(tag => tag.toLowerCase()))];
+    }
+    
+    // Atomic update so the artist's concurrent edits aren't overwritten
+    const updated = await Proposal.findByIdAndUpdate(proposal._id, { $set: set }, {
+      new: true,
+      runValidators: true
+    }).select('clientTriage');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Proposal updated',
+      data: updated.clientTriage
+    });
+    
+  } catch (error) {
+    console.error('Triage proposal error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
 // @desc    Accept proposal
 // @route   PUT /api/proposals/:id/accept
 // @access  Private (Job owner only)
@@ -368,6 +674,7 @@ router.put('/:id/accept', protect, authorize('client'), async (req, res) => {
   try {
     const Proposal = require('../models/Proposal');
     const Job = require('../models/Job');
+    const { acceptProposal } = require('../services/booking');
     
     const proposal = await Proposal.findById(req.params.id)
       .populate('job', 'client')
@@ -388,34 +695,22 @@ router.put('/:id/accept', protect, authorize('client'), async (req, res) => {
       });
     }
     
-    if (proposal.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Proposal has already been reviewed'
-      });
-    }
-    
-    // Accept the proposal
-    await proposal.accept(req.user._id);
-    
-    // Update job status
     const job = await Job.findById(proposal.job._id);
-    job.assignedArtist = proposal.artist._id;
-    job.selectedProposal = proposal._id;
-    job.status = 'assigned';
-    await job.save();
+    
+    // Accepting while the artist has countered agrees to their latest offer
+    const { proposal: accepted } = await acceptProposal(proposal, job, req.user._id);
     
     res.status(200).json({
       success: true,
       message: 'Proposal accepted successfully',
-      data: proposal
+      data: accepted
     });
     
   } catch (error) {
     console.error('Accept proposal error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.statusCode ? error.message : 'Server error'
     });
   }
 });
@@ -426,9 +721,10 @@ router.put('/:id/accept', protect, authorize('client'), async (req, res) => {
 router.put('/:id/reject', protect, authorize('client'), async (req, res) => {
   try {
     const Proposal = require('../models/Proposal');
+    const Notification = require('../models/Notification');
     
     const proposal = await Proposal.findById(req.params.id)
-      .populate('job', 'client');
+      .populate('job', 'title client');
     
     if (!proposal) {
       return res.status(404).json({
@@ -457,6 +753,12 @@ router.put('/:id/reject', protect, authorize('client'), async (req, res) => {
     // Reject the proposal
     await proposal.reject(req.user._id, message || '');
     
+    try {
+      await Notification.notifyProposalResponse(proposal, proposal.job, false);
+    } catch (notificationError) {
+      console.error('Error sending proposal notification:', notificationError);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Proposal rejected',
@@ -521,6 +823,250 @@ router.put('/:id/withdraw', protect, authorize('artist'), async (req, res) => {
   }
 });
 
+// @desc    Get a proposal's competitiveness score with improvement tips
+// @route   GET /api/proposals/:id/score
+// @access  Private (Proposal owner only)
+router.get('/:id/score', protect, authorize('artist'), async (req, res) => {
+  try {
+    const Proposal = require('../models/Proposal');
+    const { updateProposalScore } = require('../services/proposalScoring');
+    
+    const proposal = await Proposal.findById(req.params.id).select('+competitiveness.feedback');
+    
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+    
+    if (proposal.artist.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    // Proposals submitted before scoring existed are scored on first request
+    let competitiveness = proposal.competitiveness;
+    if (!competitiveness || !competitiveness.scoredAt) {
+      competitiveness = await updateProposalScore(proposal);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: competitiveness
+    });
+    
+  } catch (error) {
+    console.error('Get proposal score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a proposal's revisions with what changed in each
+// @route   GET /api/proposals/:id/revisions
+// @access  Private (Proposal owner or job owner)
+router.get('/:id/revisions', protect, async (req, res) => {
+  try {
+    const ProposalRevision = require('../models/ProposalRevision');
+    
+    const { proposal } = await loadProposalParty(req);
+    
+    const revisions = await ProposalRevision.find({ proposal: proposal._id })
+      .populate('editedBy', 'firstName lastName')
+      .sort({ version: -1 });
+    
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: {
+        currentVersion: proposal.revision || 1,
+        clientViewedAt: proposal.clientViewedAt || null,
+        revisions
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get proposal revisions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @desc    Get the negotiation history of a proposal
+// @route   GET /api/proposals/:id/negotiation
+// @access  Private (Proposal owner or job owner)
+router.get('/:id/negotiation', protect, async (req, res) => {
+  try {
+    const { proposal, job } = await loadProposalParty(req);
+    const openRound = proposal.getOpenRound();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        status: proposal.status,
+        negotiable: job.budget.negotiable !== false,
+        currentVersion: proposal.negotiation.currentVersion || 0,
+        agreedVersion: proposal.negotiation.agreedVersion || null,
+        awaitingResponseFrom: openRound
+          ? (openRound.proposedByType === 'client' ? 'artist' : 'client')
+          : null,
+        currentTerms: proposal.getCurrentTerms(),
+        rounds: proposal.negotiation.rounds
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get negotiation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @desc    Make a counter-offer on price, duration or start time
+// @route   POST /api/proposals/:id/counter
+// @access  Private (Job owner, or the artist replying to a client offer)
+router.post('/:id/counter', protect, authorize('client', 'artist'), counterOfferValidation, async (req, res) => {
+  try {
+    const { validationResult } = require('express-validator');
+    const errors = validationResult(req);
+    
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const Notification = require('../models/Notification');
+    
+    const { proposal, job, party } = await loadProposalParty(req);
+    
+    if (!job.canTransitionTo('assigned')) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is no longer open for booking'
+      });
+    }
+    
+    const { totalPrice, estimatedDuration, startTime, message } = req.body;
+    
+    // Clients can still negotiate duration and timing on a fixed budget, just not the price
+    if (party === 'client' && job.budget.negotiable === false &&
+        totalPrice !== undefined && Number(totalPrice) !== proposal.getCurrentTerms().totalPrice) {
+      return res.status(400).json({
+        success: false,
+        message: 'The budget for this job is not negotiable'
+      });
+    }
+    
+    const updated = await proposal.counterOffer(req.user._id, party, {
+      totalPrice,
+      estimatedDuration,
+      startTime,
+      message
+    });
+    
+    try {
+      await Notification.notifyNegotiation(updated, job, updated.getOpenRound(), 'countered');
+    } catch (notificationError) {
+      console.error('Error sending counter-offer notification:', notificationError);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: updated
+    });
+    
+  } catch (error) {
+    console.error('Counter-offer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @desc    Accept the other side's counter-offer and book the job on those terms
+// @route   PUT /api/proposals/:id/counter/accept
+// @access  Private (Job owner or proposal owner)
+router.put('/:id/counter/accept', protect, authorize('client', 'artist'), async (req, res) => {
+  try {
+    const Notification = require('../models/Notification');
+    const { agreeCounterOffer } = require('../services/booking');
+    
+    const { proposal, job, party } = await loadProposalParty(req);
+    const round = proposal.getOpenRound();
+    
+    const { proposal: agreed } = await agreeCounterOffer(proposal, job, party, req.user._id);
+    
+    // The client hears about a booking made by the artist here; artists get the usual acceptance notice
+    if (party === 'artist') {
+      try {
+        await Notification.notifyNegotiation(agreed, job, round, 'accepted');
+      } catch (notificationError) {
+        console.error('Error sending counter-offer notification:', notificationError);
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Counter-offer accepted and proposal booked',
+      data: agreed
+    });
+    
+  } catch (error) {
+    console.error('Accept counter-offer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @desc    Decline the other side's counter-offer (the proposal's own terms stand)
+// @route   PUT /api/proposals/:id/counter/decline
+// @access  Private (Job owner or proposal owner)
+router.put('/:id/counter/decline', protect, authorize('client', 'artist'), async (req, res) => {
+  try {
+    const Notification = require('../models/Notification');
+    
+    const { proposal, job, party } = await loadProposalParty(req);
+    const round = proposal.getOpenRound();
+    
+    const updated = await proposal.declineCounterOffer(party);
+    
+    try {
+      await Notification.notifyNegotiation(updated, job, round, 'declined');
+    } catch (notificationError) {
+      console.error('Error sending counter-offer notification:', notificationError);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Counter-offer declined',
+      data: updated
+    });
+    
+  } catch (error) {
+    console.error('Decline counter-offer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
 // @desc    Get proposal statistics for artist
 // @route   GET /api/proposals/stats
 // @access  Private (Artists only)
@@ -1,21 +1,153 @@
 const express = require('express');
-const { protect, authorize } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getRequestIp, describeDevice } = require('../services/sessions');
 
 const router = express.Router();
 
-// @desc    Create review
+const isArtistReviewer = (value, { req }) => req.user.userType === 'artist';
+
+const createReviewValidation = [
+  body('jobId')
+    .isMongoId()
+    .withMessage('A valid jobId is required'),
+  body('rating.overall')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Overall rating must be between 1 and 5')
+    .toInt(),
+  body('rating.breakdown.*')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Ratings must be between 1 and 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Review title cannot exceed 100 characters'),
+  body('comment')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Review comment must be between 10 and 1000 characters'),
+  // Artists rate the client on punctuality, hospitality, guest count accuracy and payment reliability
+  body('experience.wouldWorkAgain')
+    .if(isArtistReviewer)
+    .isBoolean()
+    .withMessage('Say whether you would work with this client again')
+    .toBoolean()
+];
+
+const editReviewValidation = [
+  body('rating.overall')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Overall rating must be between 1 and 5')
+    .toInt(),
+  body('rating.breakdown.*')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Ratings must be between 1 and 5')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Review title cannot exceed 100 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Review comment must be between 10 and 1000 characters'),
+  body(['experience.wouldRecommend', 'experience.wouldHireAgain', 'experience.wouldWorkAgain'])
+    .optional()
+    .isBoolean()
+    .withMessage('Experience answers must be true or false')
+    .toBoolean()
+];
+
+const responseValidation = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Response must be between 1 and 500 characters'),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false')
+    .toBoolean()
+];
+
+const voteValidation = [
+  body('helpful')
+    .isBoolean()
+    .withMessage('helpful must be true or false')
+    .toBoolean()
+];
+
+const flagValidation = [
+  body('type')
+    .isIn(['inappropriate', 'fake', 'spam', 'harassment', 'copyright'])
+    .withMessage('Flag type must be one of: inappropriate, fake, spam, harassment, copyright'),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters')
+];
+
+// Load a review the signed-in user can see; null if it doesn't exist or they can't
+const findVisibleReview = async (req) => {
+  const Review = require('../models/Review');
+  const mongoose = require('mongoose');
+  
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const review = await Review.findById(req.params.id);
+  return review && review.isVisibleTo(req.user) ? review : null;
+};
+
+const sendReviewNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Review not found'
+});
+
+// Private responses are only shown to the two sides of the review
+const withoutPrivateResponse = (review, user) => {
+  const json = review.toJSON();
+  const isParty = user && [json.reviewer, json.reviewee]
+    .some(party => party && (party._id || party).toString() === user._id.toString());
+  
+  if (json.artistResponse && json.artistResponse.isPublic === false && !isParty) {
+    delete json.artistResponse;
+  }
+  return json;
+};
+
+// @desc    Review the other side of a completed job (client -> artist, or artist -> client)
 // @route   POST /api/reviews
-// @access  Private (Clients only)
-router.post('/', protect, authorize('client'), async (req, res) => {
+// @access  Private (Job owner or assigned artist)
+router.post('/', protect, authorize('client', 'artist'), createReviewValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+    
     const Review = require('../models/Review');
     const Job = require('../models/Job');
+    const Notification = require('../models/Notification');
+    const ReviewRequest = require('../models/ReviewRequest');
     
     const { jobId, rating, title, comment, images, experience } = req.body;
+    const reviewerType = req.user.userType;
     
-    // Verify job exists and user is the client
+    // Verify job exists and user is the client or the booked artist
     const job = await Job.findById(jobId);
-    if (!job || job.client.toString() !== req.user._id.toString()) {
+    const party = job && (reviewerType === 'client' ? job.client : job.assignedArtist);
+    if (!party || party.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to review this job'
@@ -30,24 +162,109 @@ router.post('/', protect, authorize('client'), async (req, res) => {
       });
     }
     
+    // Reviews are left through the job's review request, which closes with the review window
+    // (reviews are hidden until both sides have reviewed or the window closes, so none can be added after)
+    let request = await ReviewRequest.findOne({ job: job._id, reviewer: req.user._id });
+    if (!request) {
+      // Jobs completed before review requests existed get theirs now
+      await ReviewRequest.createForJob(job);
+      request = await ReviewRequest.findOne({ job: job._id, reviewer: req.user._id });
+    }
+    
+    if (!request) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this job'
+      });
+    }
+    if (request.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this job'
+      });
+    }
+    if (!request.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The review window for this job has closed'
+      });
+    }
+    const closesAt = request.expiresAt;
+    
     const review = await Review.create({
       reviewer: req.user._id,
-      reviewee: job.assignedArtist,
+      reviewee: reviewerType === 'client' ? job.assignedArtist : job.client,
+      reviewerType,
       job: jobId,
       proposal: job.selectedProposal,
       rating,
       title,
       comment,
       images,
-      experience
+      experience,
+      // Only reachable through a booking's review request
+      verificationMethod: 'booking_confirmed',
+      revealed: false,
+      revealAt: closesAt,
+      // Used by the authenticity checks
+      metadata: {
+        ipAddress: getRequestIp(req),
+        userAgent: (req.get('user-agent') || '').substring(0, 300),
+        deviceInfo: describeDevice(req.get('user-agent'))
+      }
     });
     
+    await request.markCompleted(review);
+    
+    const counterpart = await Review.revealIfReciprocated(review);
+    
+    try {
+      if (counterpart) {
+        // Both sides have reviewed: each can now see what the other said
+        await review.populate('job', 'title');
+        counterpart.job = review.job;
+        await Notification.notifyReviewRevealed(review);
+        await Notification.notifyReviewRevealed(counterpart);
+      } else {
+        await Notification.create({
+          recipient: review.reviewee,
+          type: 'review_request',
+          title: `${req.user.firstName} has reviewed you`,
+          message: `${req.user.firstName} left a review for "${job.title}". Leave yours by ${closesAt.toDateString()} to see it; it will be published then either way.`,
+          relatedJob: job._id,
+          relatedUser: req.user._id,
+          actionUrl: `/jobs/${job._id}/review`,
+          deliveryMethods: { inApp: true, email: true }
+        });
+      }
+    } catch (notificationError) {
+      console.error('Error sending review notifications:', notificationError);
+    }
+    
     res.status(201).json({
       success: true,
+      message: review.status === 'flagged'
+        ? 'Review submitted; it will be checked by our team before it is published'
+        : counterpart
+        ? 'Review submitted; both reviews are now visible'
+        : `Review submitted; it will be visible once the other side reviews or on ${closesAt.toDateString()}`,
       data: review
     });
     
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this job'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    
     console.error('Create review error:', error);
     res.status(500).json({
       success: false,
@@ -56,12 +273,159 @@ router.post('/', protect, authorize('client'), async (req, res) => {
   }
 });
 
+// @desc    My open review requests
+// @route   GET /api/reviews/requests
+// @access  Private
+router.get('/requests', protect, async (req, res) => {
+  try {
+    const ReviewRequest = require('../models/ReviewRequest');
+    
+    const requests = await ReviewRequest.find({
+      reviewer: req.user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('job', 'title eventDetails.eventType eventDetails.eventDate')
+      .populate('reviewee', 'firstName lastName profileImage artistProfile.businessName')
+      .sort({ expiresAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+    
+  } catch (error) {
+    console.error('Get review requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Both reviews of a job, as far as the requester may see them
+// @route   GET /api/reviews/job/:jobId
+// @access  Private (Job owner, assigned artist or admin)
+router.get('/job/:jobId', protect, async (req, res) => {
+  try {
+    const Review = require('../models/Review');
+    const Job = require('../models/Job');
+    const mongoose = require('mongoose');
+    
+    const job = mongoose.Types.ObjectId.isValid(req.params.jobId)
+      ? await Job.findById(req.params.jobId).select('client assignedArtist status completedAt updatedAt')
+      : null;
+    
+    const userId = req.user._id.toString();
+    const isParty = job && [job.client, job.assignedArtist].some(id => id && id.toString() === userId);
+    if (!job || (!isParty && req.user.userType !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    
+    const reviews = await Review.find({ job: job._id })
+      .populate('reviewer', 'firstName lastName profileImage');
+    
+    // The other side's review stays sealed until it's revealed
+    const data = reviews.map(review => {
+      const isOwn = review.reviewer._id.toString() === userId;
+      if (isOwn || review.revealed !== false || req.user.userType === 'admin') return review;
+      
+      return {
+        _id: review._id,
+        reviewerType: review.reviewerType,
+        revealed: false,
+        revealAt: review.revealAt,
+        createdAt: review.createdAt
+      };
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      reviewWindow: job.status === 'completed' ? Review.getReviewWindow(job) : null,
+      data
+    });
+    
+  } catch (error) {
+    console.error('Get job reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    A client's reputation and the artists' reviews behind it
+// @route   GET /api/reviews/client/:clientId
+// @access  Private (Artists, admins and the client themselves)
+router.get('/client/:clientId', protect, async (req, res) => {
+  try {
+    const Review = require('../models/Review');
+    const mongoose = require('mongoose');
+    
+    const isSelf = req.user._id.toString() === req.params.clientId;
+    if (!isSelf && !['artist', 'admin'].includes(req.user.userType)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only artists can view client reviews'
+      });
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const reviews = await Review.findForClient(req.params.clientId, {
+      limit,
+      skip: (page - 1) * limit
+    });
+    
+    const reputation = await Review.getClientReputation(req.params.clientId);
+    
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      reputation,
+      data: reviews.map(review => withoutPrivateResponse(review, req.user))
+    });
+    
+  } catch (error) {
+    console.error('Get client reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get reviews for artist
 // @route   GET /api/reviews/artist/:artistId
 // @access  Public
-router.get('/artist/:artistId', async (req, res) => {
+router.get('/artist/:artistId', optionalAuth, async (req, res) => {
   try {
     const Review = require('../models/Review');
+    const User = require('../models/User');
+    const mongoose = require('mongoose');
+    
+    const artist = mongoose.Types.ObjectId.isValid(req.params.artistId)
+      ? await User.findOne({ _id: req.params.artistId, userType: 'artist' }).select('artistProfile.rating')
+      : null;
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
     
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -72,12 +436,18 @@ router.get('/artist/:artistId', async (req, res) => {
     });
     
     const stats = await Review.getArtistStats(req.params.artistId);
+    const rating = artist.artistProfile.rating;
     
     res.status(200).json({
       success: true,
       count: reviews.length,
-      stats: stats[0] || {},
-      data: reviews
+      stats: {
+        ...(stats[0] || {}),
+        ratingCounts: rating.distribution
+      },
+      // Maintained aggregates: Bayesian average, per-criterion averages, star distribution and rates
+      rating,
+      data: reviews.map(review => withoutPrivateResponse(review, req.user))
     });
     
   } catch (error) {
@@ -89,4 +459,177 @@ router.get('/artist/:artistId', async (req, res) => {
   }
 });
 
+// @desc    Edit my review (within the edit window, while it's still sealed)
+// @route   PUT /api/reviews/:id
+// @access  Private (Reviewer only)
+router.put('/:id', protect, editReviewValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const review = await findVisibleReview(req);
+    if (!review) return sendReviewNotFound(res);
+    
+    if (review.reviewer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own reviews'
+      });
+    }
+    
+    await review.applyEdit(req.body);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review updated',
+      data: review
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    
+    if (!error.statusCode) console.error('Edit review error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @desc    Respond to a review of me (publicly, or privately to the reviewer)
+// @route   PUT /api/reviews/:id/response
+// @access  Private (Reviewee only)
+router.put('/:id/response', protect, responseValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const review = await findVisibleReview(req);
+    if (!review) return sendReviewNotFound(res);
+    
+    if (review.reviewee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person reviewed can respond'
+      });
+    }
+    
+    // The reviewee can't read a sealed review, so there's nothing to respond to yet
+    if (review.revealed === false || ['removed', 'hidden'].includes(review.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This review cannot be responded to'
+      });
+    }
+    
+    const isPublic = req.body.isPublic !== undefined ? req.body.isPublic : true;
+    await review.addArtistResponse(req.body.message, isPublic);
+    
+    try {
+      const Notification = require('../models/Notification');
+      await Notification.create({
+        recipient: review.reviewer,
+        type: 'review_received',
+        title: `${req.user.firstName} responded to your review`,
+        message: req.body.message.slice(0, 500),
+        relatedUser: req.user._id,
+        relatedJob: review.job,
+        actionUrl: `/jobs/${review.job}/review`
+      });
+    } catch (notificationError) {
+      console.error('Error sending review response notification:', notificationError);
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: isPublic ? 'Response posted' : 'Response sent privately to the reviewer',
+      data: review
+    });
+    
+  } catch (error) {
+    console.error('Review response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Vote a review helpful or not helpful (once per user)
+// @route   POST /api/reviews/:id/vote
+// @access  Private
+router.post('/:id/vote', protect, voteValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const review = await findVisibleReview(req);
+    if (!review) return sendReviewNotFound(res);
+    
+    const userId = req.user._id.toString();
+    if ([review.reviewer, review.reviewee].some(party => party.toString() === userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on a review you are part of'
+      });
+    }
+    
+    const voted = await review.voteHelpful(req.user._id, req.body.helpful);
+    if (!voted) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already voted on this review'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Vote recorded',
+      data: review.helpfulVotesCount
+    });
+    
+  } catch (error) {
+    console.error('Vote review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Flag a review for moderation
+// @route   POST /api/reviews/:id/flag
+// @access  Private
+router.post('/:id/flag', protect, flagValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    
+    const review = await findVisibleReview(req);
+    if (!review) return sendReviewNotFound(res);
+    
+    if (review.reviewer.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot flag your own review'
+      });
+    }
+    
+    await review.flag(req.user._id, req.body.type, req.body.reason);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Review flagged for moderation'
+    });
+    
+  } catch (error) {
+    if (!error.statusCode) console.error('Flag review error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,275 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { parseNear } = require('../utils/geo');
+const { endOfDay } = require('../utils/time');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 10;
+
+const FILTER_KEYS = ['category', 'city', 'near', 'radiusKm', 'minBudget', 'maxBudget', 'eventDateFrom', 'eventDateTo'];
+
+const filterValidation = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object')
+    .custom(filters => {
+      if (!FILTER_KEYS.some(key => filters[key] !== undefined && filters[key] !== '')) {
+        throw new Error('Add at least one filter');
+      }
+      return true;
+    }),
+  body('filters.category')
+    .optional()
+    .isIn(['bridal', 'party', 'festival', 'corporate', 'traditional', 'modern', 'arabic', 'indian', 'other'])
+    .withMessage('Invalid job category'),
+  body('filters.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+  body('filters.near')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+  body('filters.radiusKm')
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Radius must be between 1 and 500 km')
+    .toFloat(),
+  body(['filters.minBudget', 'filters.maxBudget'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget must be a positive number')
+    .toFloat(),
+  body(['filters.eventDateFrom', 'filters.eventDateTo'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Event dates must be in YYYY-MM-DD format'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+const createValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  body('filters')
+    .exists()
+    .withMessage('Filters are required'),
+  ...filterValidation
+];
+
+const updateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  ...filterValidation
+];
+
+// Saved filters from the request body, with `near` resolved to coordinates
+const buildFilters = (input) => {
+  const filters = {};
+
+  FILTER_KEYS.forEach(key => {
+    if (input[key] !== undefined && input[key] !== '') filters[key] = input[key];
+  });
+
+  if (filters.near) {
+    filters.coordinates = parseNear(filters.near);
+    filters.radiusKm = filters.radiusKm || 25;
+  }
+  if (filters.eventDateFrom) filters.eventDateFrom = new Date(filters.eventDateFrom);
+  if (filters.eventDateTo) filters.eventDateTo = endOfDay(filters.eventDateTo);
+
+  return filters;
+};
+
+// Load one of the signed-in artist's saved searches
+const findOwnSearch = async (req) => {
+  const SavedSearch = require('../models/SavedSearch');
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return SavedSearch.findOne({ _id: req.params.id, artist: req.user._id });
+};
+
+const sendSaveError = (res, error, context) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+router.use(protect, authorize('artist'));
+
+// @desc    Get my saved searches
+// @route   GET /api/saved-searches
+// @access  Private (Artists only)
+router.get('/', async (req, res) => {
+  try {
+    const SavedSearch = require('../models/SavedSearch');
+
+    const searches = await SavedSearch.find({ artist: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: searches.length,
+      data: searches
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Save a search as a job alert
+// @route   POST /api/saved-searches
+// @access  Private (Artists only)
+router.post('/', createValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const SavedSearch = require('../models/SavedSearch');
+
+    const existing = await SavedSearch.countDocuments({ artist: req.user._id });
+    if (existing >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      artist: req.user._id,
+      name: req.body.name,
+      filters: buildFilters(req.body.filters),
+      isActive: req.body.isActive !== undefined ? req.body.isActive : true
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved; you will be alerted about new matching jobs',
+      data: search
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'Create saved search');
+  }
+});
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private (Artists only)
+router.get('/:id', async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: search
+    });
+
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Rename, change the filters of, or pause/resume a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private (Artists only)
+router.put('/:id', updateValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (req.body.name !== undefined) search.name = req.body.name;
+    if (req.body.isActive !== undefined) search.isActive = req.body.isActive;
+    // New filters replace the old ones; queued digest matches may no longer fit, so drop them
+    if (req.body.filters !== undefined) {
+      search.filters = buildFilters(req.body.filters);
+      search.digestQueue = [];
+    }
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated',
+      data: search
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'Update saved search');
+  }
+});
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Artists only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    await search.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
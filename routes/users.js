@@ -9,6 +9,9 @@ const router = express.Router();
 router.get('/artists', optionalAuth, async (req, res) => {
   try {
     const User = require('../models/User');
+    const {
+      SEARCH_WEIGHTS, MAX_NEAR_MATCHES, parseSearchQuery, textSearch, withRelevance, withHighlights
+    } = require('../utils/search');
     
     let query = { 
       userType: 'artist', 
@@ -29,9 +32,16 @@ router.get('/artists', optionalAuth, async (req, res) => {
       query['artistProfile.rating.average'] = { $gte: parseFloat(req.query.minRating) };
     }
     
+    // Full-text search (q=...), most relevant first unless another sort is asked for
+    const search = parseSearchQuery(req.query.q);
+    
     // Sorting
-    let sortBy = { 'artistProfile.rating.average': -1 };
-    if (req.query.sort === 'experience') {
+    // Rated by Bayesian average so a single 5-star review doesn't outrank a long record
+    const byRating = { 'artistProfile.rating.bayesianAverage': -1, 'artistProfile.rating.count': -1 };
+    let sortBy = search ? null : byRating;
+    if (req.query.sort === 'rating') {
+      sortBy = byRating;
+    } else if (req.query.sort === 'experience') {
       sortBy = { 'artistProfile.experience': -1 };
     } else if (req.query.sort === 'newest') {
       sortBy = { createdAt: -1 };
@@ -42,6 +52,77 @@ router.get('/artists', optionalAuth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
     
+    // Distance search (near=<postcode | lat,lng>&radiusKm=25), sorted nearest first
+    if (req.query.near) {
+      const { parseNear, geoNearSearch, withDistances } = require('../utils/geo');
+      
+      const point = parseNear(req.query.near);
+      if (!point) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not find a location for '${req.query.near}'`
+        });
+      }
+      
+      const radiusKm = Math.min(parseFloat(req.query.radiusKm) || 25, 500);
+      
+      // $text can't run inside $geoNear, so narrow the distance search to the text matches
+      let matches = null;
+      if (search) {
+        matches = await textSearch(User, { search, weights: SEARCH_WEIGHTS.artist, query, limit: MAX_NEAR_MATCHES });
+        query = { ...query, _id: { $in: matches.results.map(r => r._id) } };
+      }
+      
+      const { results, total } = await geoNearSearch(User, { point, radiusKm, query, skip, limit });
+      
+      const artists = await User.find({ _id: { $in: results.map(r => r._id) } })
+        .select('firstName lastName bio artistProfile location profileImage');
+      
+      const data = withDistances(artists, results);
+      
+      return res.status(200).json({
+        success: true,
+        count: results.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        ...(matches && { search: { terms: search.terms, mode: matches.mode } }),
+        data: matches
+          ? withHighlights(data, matches.results, { search, weights: SEARCH_WEIGHTS.artist, mode: matches.mode })
+          : data
+      });
+    }
+    
+    if (search) {
+      const { results, total, mode } = await textSearch(User, {
+        search,
+        weights: SEARCH_WEIGHTS.artist,
+        query,
+        sort: sortBy,
+        skip,
+        limit
+      });
+      
+      const artists = await User.find({ _id: { $in: results.map(r => r._id) } })
+        .select('firstName lastName bio artistProfile location profileImage');
+      
+      return res.status(200).json({
+        success: true,
+        count: results.length,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        },
+        search: { terms: search.terms, mode },
+        data: withRelevance(artists, results, { search, weights: SEARCH_WEIGHTS.artist, mode })
+      });
+    }
+    
     const artists = await User.find(query)
       .select('firstName lastName artistProfile location profileImage')
       .sort(sortBy)
@@ -64,9 +145,9 @@ router.get('/artists', optionalAuth, async (req, res) => {
     
   } catch (error) {
     console.error('Get artists error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error'
+      message: error.statusCode ? error.message : 'Server error'
     });
   }
 });
@@ -102,4 +183,82 @@ router.get('/artist/:id', async (req, res) => {
   }
 });
 
+// @desc    Get an artist's portfolio gallery
+// @route   GET /api/users/artist/:id/portfolio?style=arabic&page=1&limit=12
+// @access  Public
+router.get('/artist/:id/portfolio', async (req, res) => {
+  try {
+    const User = require('../models/User');
+    const mongoose = require('mongoose');
+    
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+    
+    const artist = await User.findById(req.params.id)
+      .select('userType isActive firstName lastName artistProfile.businessName artistProfile.portfolio');
+    
+    if (!artist || artist.userType !== 'artist' || !artist.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+    
+    const items = (artist.artistProfile.portfolio || []).map(item => ({
+      _id: item._id,
+      imageUrl: item.imageUrl,
+      description: item.description,
+      category: item.category,
+      addedAt: item.addedAt
+    }));
+    
+    // Styles with their item counts, for the gallery's filter
+    const styleCounts = new Map();
+    items.forEach(item => {
+      if (item.category) styleCounts.set(item.category, (styleCounts.get(item.category) || 0) + 1);
+    });
+    
+    const style = req.query.style ? String(req.query.style).toLowerCase() : null;
+    const filtered = style ? items.filter(item => item.category === style) : items;
+    
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 50);
+    const skip = (page - 1) * limit;
+    const pageItems = filtered.slice(skip, skip + limit);
+    
+    res.status(200).json({
+      success: true,
+      count: pageItems.length,
+      pagination: {
+        page,
+        limit,
+        total: filtered.length,
+        pages: Math.ceil(filtered.length / limit)
+      },
+      data: {
+        artist: {
+          _id: artist._id,
+          firstName: artist.firstName,
+          lastName: artist.lastName,
+          businessName: artist.artistProfile.businessName
+        },
+        styles: [...styleCounts].map(([name, count]) => ({ style: name, count })),
+        items: pageItems
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get artist portfolio error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
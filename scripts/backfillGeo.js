@@ -0,0 +1,47 @@
+// Backfill GeoJSON locations for users and jobs created before geo search existed
+// Usage: npm run geo:backfill
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { applyGeoLocation } = require('../utils/geo');
+
+const backfill = async (Model) => {
+  const cursor = Model.find({ 'location.geo.type': { $exists: false } })
+    .select('location')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const doc of cursor) {
+    const location = applyGeoLocation({ ...doc.location });
+    if (!location.geo) continue;
+
+    await Model.updateOne(
+      { _id: doc._id },
+      { $set: { 'location.coordinates': location.coordinates, 'location.geo': location.geo } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const users = await backfill(User);
+  const jobs = await backfill(Job);
+  console.log(`Geo backfill complete: ${users} users, ${jobs} jobs updated`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Geo backfill failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Build data/uk-postcode-districts.csv (the centroid of every postcode district) from a
+// postcode-level CSV such as the ONS Postcode Directory or Code-Point Open converted to lat/long
+// Usage: npm run postcodes:districts -- <postcodes.csv>
+const fs = require('fs');
+const readline = require('readline');
+const { DISTRICT_DATASET_PATH, getOutcode } = require('../utils/postcodes');
+
+// Header names the source columns go by in the common datasets
+const POSTCODE_COLUMNS = ['pcds', 'pcd', 'pcd2', 'postcode'];
+const LATITUDE_COLUMNS = ['lat', 'latitude'];
+const LONGITUDE_COLUMNS = ['long', 'lng', 'longitude'];
+// ONSPD: set once a postcode is no longer in use
+const TERMINATED_COLUMN = 'doterm';
+// ONSPD's placeholder latitude for postcodes without a grid reference
+const NO_LOCATION_LATITUDE = 99.999999;
+
+const parseLine = (line) => line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+
+const findColumn = (header, names) => header.findIndex(name => names.includes(name.toLowerCase()));
+
+const build = async (sourcePath) => {
+  const lines = readline.createInterface({ input: fs.createReadStream(sourcePath), crlfDelay: Infinity });
+  const sums = new Map();
+  let columns = null;
+
+  for await (const line of lines) {
+    const values = parseLine(line);
+
+    if (!columns) {
+      columns = {
+        postcode: findColumn(values, POSTCODE_COLUMNS),
+        latitude: findColumn(values, LATITUDE_COLUMNS),
+        longitude: findColumn(values, LONGITUDE_COLUMNS),
+        terminated: findColumn(values, [TERMINATED_COLUMN])
+      };
+      if ([columns.postcode, columns.latitude, columns.longitude].includes(-1)) {
+        throw new Error(`${sourcePath} needs a header with postcode, latitude and longitude columns`);
+      }
+      continue;
+    }
+
+    if (columns.terminated !== -1 && values[columns.terminated]) continue;
+
+    const outcode = getOutcode(values[columns.postcode]);
+    const latitude = parseFloat(values[columns.latitude]);
+    const longitude = parseFloat(values[columns.longitude]);
+    if (!outcode || Number.isNaN(latitude) || Number.isNaN(longitude) || latitude === NO_LOCATION_LATITUDE) continue;
+
+    const sum = sums.get(outcode) || { latitude: 0, longitude: 0, count: 0 };
+    sum.latitude += latitude;
+    sum.longitude += longitude;
+    sum.count++;
+    sums.set(outcode, sum);
+  }
+
+  const rows = [...sums.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([outcode, { latitude, longitude, count }]) =>
+      `${outcode},${(latitude / count).toFixed(4)},${(longitude / count).toFixed(4)}`
+    );
+
+  fs.writeFileSync(DISTRICT_DATASET_PATH, ['outcode,latitude,longitude', ...rows].join('\n') + '\n');
+  return rows.length;
+};
+
+const sourcePath = process.argv[2];
+if (!sourcePath) {
+  console.error('Usage: npm run postcodes:districts -- <postcodes.csv>');
+  process.exit(1);
+}
+
+build(sourcePath)
+  .then(count => console.log(`Wrote ${count} postcode districts to ${DISTRICT_DATASET_PATH}`))
+  .catch(error => {
+    console.error('Building postcode districts failed:', error);
+    process.exit(1);
+  });
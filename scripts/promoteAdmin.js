@@ -0,0 +1,39 @@
+// Promote an existing account to admin (there is no way to register as one)
+// Usage: npm run admin:promote -- user@example.com
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+const run = async () => {
+  const email = (process.argv[2] || '').trim().toLowerCase();
+  if (!email) {
+    console.error('Usage: npm run admin:promote -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email },
+    { $set: { userType: 'admin', isActive: true, 'suspension.isSuspended': false } },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now an admin`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Admin promotion failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
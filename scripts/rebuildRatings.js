@@ -0,0 +1,26 @@
+// Rebuild every artist's rating aggregates from their reviews (after changing the rating settings,
+// or to repair drift from reviews changed outside the app)
+// Usage: npm run ratings:rebuild
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const { rebuildAllRatings } = require('../services/ratings');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const artists = await rebuildAllRatings({
+    onProgress: (done) => console.log(`Rebuilt ${done} artists...`)
+  });
+  console.log(`Rating rebuild complete: ${artists} artists updated`);
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  console.error('Rating rebuild failed:', error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
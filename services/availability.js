@@ -0,0 +1,66 @@
+const User = require('../models/User');
+
+// Attempts at reserving a slot while other bookings keep landing on the same day
+const MAX_RESERVE_ATTEMPTS = 3;
+
+const notFound = () => {
+  const error = new Error('Artist not found');
+  error.statusCode = 404;
+  return error;
+};
+
+// Time range the artist would be booked for (proposal duration and agreed start time win over the job's)
+const getBookingSlot = (job, proposal) => {
+  const timeline = (proposal && proposal.timeline) || {};
+  return job.getEventSlot(timeline.estimatedDuration, timeline.startTime);
+};
+
+// Reject with 409 if the artist can't take the job; returns the artist and slot otherwise
+const assertArtistAvailable = async (artistId, job, proposal) => {
+  const artist = await User.findById(artistId);
+  if (!artist) throw notFound();
+
+  const slot = getBookingSlot(job, proposal);
+  const conflict = artist.findSlotConflict(slot.date, slot.startTime, slot.endTime);
+
+  if (conflict) {
+    const error = new Error(conflict);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return { artist, slot };
+};
+
+// Book the job's slot in the artist's calendar, checking again if the calendar changed meanwhile
+const reserveArtistForJob = async (artistId, job, proposal) => {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const { artist, slot } = await assertArtistAvailable(artistId, job, proposal);
+
+    const reserved = await artist.reserveSlot({
+      ...slot,
+      job: job._id,
+      proposal: proposal ? proposal._id : undefined
+    });
+    if (reserved) return slot;
+  }
+
+  const error = new Error('The artist\'s calendar is changing, please try again');
+  error.statusCode = 409;
+  throw error;
+};
+
+// Free the artist's calendar when a job falls through
+const releaseArtistForJob = async (artistId, jobId) => {
+  const artist = await User.findById(artistId);
+  if (!artist) return;
+
+  await artist.releaseJobSlots(jobId);
+};
+
+module.exports = {
+  getBookingSlot,
+  assertArtistAvailable,
+  reserveArtistForJob,
+  releaseArtistForJob
+};
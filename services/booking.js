@@ -0,0 +1,129 @@
+// Booking a job on a proposal: reserve the artist's calendar, assign the job and accept the
+// proposal (rejecting the others), undoing what was done if a later step fails
+
+const bookingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Book the artist, assign the job and accept the proposal (rejecting the others)
+// Returns the assigned job
+const bookProposal = async (proposal, job, { actor, actorType }) => {
+  const Proposal = require('../models/Proposal');
+  const Notification = require('../models/Notification');
+  const { reserveArtistForJob, releaseArtistForJob } = require('./availability');
+
+  const artistId = proposal.artist._id || proposal.artist;
+
+  // Book the event slot in the artist's calendar (409 if it clashes)
+  await reserveArtistForJob(artistId, job, proposal);
+
+  let assigned = null;
+  let otherProposals;
+  try {
+    // Update job status (fails if the job can no longer be assigned)
+    assigned = await job.transitionTo('assigned', {
+      actor,
+      actorType,
+      set: {
+        assignedArtist: artistId,
+        selectedProposal: proposal._id
+      }
+    });
+
+    // Artists whose proposals are about to be rejected by accept()
+    otherProposals = await Proposal.find({
+      job: job._id,
+      _id: { $ne: proposal._id },
+      status: 'pending'
+    }).select('artist');
+
+    await proposal.accept(job.client);
+  } catch (error) {
+    if (assigned) {
+      await job.revertAssignment(proposal._id, {
+        actor,
+        actorType,
+        reason: 'The booking could not be completed'
+      });
+    }
+    await releaseArtistForJob(artistId, job._id);
+    throw error;
+  }
+
+  try {
+    // An artist agreeing to the client's offer already knows it's booked
+    if (actorType === 'client') {
+      await Notification.notifyProposalResponse(proposal, job, true);
+    }
+    await Promise.all(otherProposals.map(other =>
+      Notification.notifyProposalResponse(other, job, false)
+    ));
+  } catch (notificationError) {
+    console.error('Error sending proposal notifications:', notificationError);
+  }
+
+  return assigned;
+};
+
+// Agree to the other side's open counter-offer and book the proposal on those terms
+// If the booking fails the counter-offer is put back on the table; returns the booked proposal and job
+const agreeCounterOffer = async (proposal, job, party, userId) => {
+  const ProposalRevision = require('../models/ProposalRevision');
+  const { assertArtistAvailable } = require('./availability');
+  const openRound = proposal.getOpenRound();
+
+  if (openRound && openRound.proposedByType !== party) {
+    if (!job.canTransitionTo('assigned')) {
+      throw bookingError('This job is no longer open for booking', 400);
+    }
+
+    await assertArtistAvailable(proposal.artist._id || proposal.artist, job, {
+      timeline: {
+        estimatedDuration: openRound.estimatedDuration,
+        startTime: openRound.startTime || proposal.timeline.startTime
+      }
+    });
+  }
+
+  await ProposalRevision.ensureBaseline(proposal);
+  const agreed = await proposal.acceptCounterOffer(party);
+
+  let assigned;
+  try {
+    assigned = await bookProposal(agreed, job, { actor: userId, actorType: party });
+  } catch (error) {
+    const reverted = await agreed.revertCounterOffer(proposal);
+    if (!reverted) {
+      console.error(`Could not reopen the counter-offer on proposal ${agreed._id} after a failed booking`);
+    }
+    throw error;
+  }
+
+  await ProposalRevision.record(agreed, { editedBy: userId, source: 'negotiation' });
+
+  return { proposal: agreed, job: assigned };
+};
+
+// The client accepting a proposal: on its own terms, or on the artist's open counter-offer
+// Returns the accepted proposal and the assigned job
+const acceptProposal = async (proposal, job, clientId) => {
+  if (proposal.status !== 'pending') {
+    throw bookingError('Proposal has already been reviewed', 400);
+  }
+
+  const openRound = proposal.getOpenRound();
+  if (openRound && openRound.proposedByType === 'artist') {
+    return agreeCounterOffer(proposal, job, 'client', clientId);
+  }
+
+  const assigned = await bookProposal(proposal, job, { actor: clientId, actorType: 'client' });
+  return { proposal, job: assigned };
+};
+
+module.exports = {
+  bookProposal,
+  agreeCounterOffer,
+  acceptProposal
+};
@@ -0,0 +1,95 @@
+const Notification = require('../models/Notification');
+const { sendTemplate } = require('./mail');
+
+const MAX_ATTEMPTS = 3;
+
+// notificationPreferences.email key that governs each notification type
+const PREFERENCE_KEYS = {
+  new_job_posted: 'newJobs',
+  job_alert: 'jobAlerts',
+  job_alert_digest: 'jobAlerts',
+  proposal_accepted: 'proposals',
+  proposal_declined: 'proposals',
+  message_received: 'messages'
+};
+
+// Dedicated templates; everything else uses the generic notification template
+const TEMPLATES = {
+  new_job_posted: 'newJobAlert',
+  job_alert: 'newJobAlert',
+  proposal_accepted: 'proposalAccepted',
+  proposal_declined: 'proposalDeclined'
+};
+
+// Check the recipient still wants this kind of email
+const isEmailAllowed = (user, type) => {
+  if (!user || !user.isActive) return false;
+
+  const key = PREFERENCE_KEYS[type];
+  if (!key) return true;
+
+  const emailPrefs = (user.notificationPreferences && user.notificationPreferences.email) || {};
+  return emailPrefs[key] !== false;
+};
+
+// Send the email for a single notification and record the outcome
+const deliverNotification = async (notification) => {
+  const user = notification.recipient;
+
+  if (!isEmailAllowed(user, notification.type)) {
+    notification.deliveryMethods.email = false;
+    await notification.save();
+    return 'skipped';
+  }
+
+  const job = notification.relatedJob;
+  const templateName = TEMPLATES[notification.type] && job ? TEMPLATES[notification.type] : 'notification';
+
+  try {
+    await sendTemplate(templateName, user.email, { user, job, notification });
+
+    notification.emailSent = true;
+    notification.emailSentAt = new Date();
+    notification.emailError = undefined;
+    await notification.save();
+    return 'sent';
+  } catch (error) {
+    console.error(`Email delivery failed for notification ${notification._id}:`, error.message);
+
+    notification.emailAttempts = (notification.emailAttempts || 0) + 1;
+    notification.emailError = error.message;
+    if (notification.emailAttempts >= MAX_ATTEMPTS) {
+      notification.deliveryMethods.email = false;
+    }
+    await notification.save();
+    return 'failed';
+  }
+};
+
+// Deliver a batch of notifications that are waiting for an email (run by the scheduler)
+const processPendingEmails = async ({ limit = 50 } = {}) => {
+  const pending = await Notification.find({
+    'deliveryMethods.email': true,
+    emailSent: false,
+    emailAttempts: { $lt: MAX_ATTEMPTS },
+    expiresAt: { $gt: new Date() }
+  })
+    .populate('recipient', 'firstName email isActive notificationPreferences')
+    .populate('relatedJob', 'title category eventDetails location budget')
+    .sort({ createdAt: 1 })
+    .limit(limit);
+
+  const result = { sent: 0, skipped: 0, failed: 0 };
+
+  for (const notification of pending) {
+    const outcome = await deliverNotification(notification);
+    result[outcome]++;
+  }
+
+  return result;
+};
+
+module.exports = {
+  deliverNotification,
+  processPendingEmails
+};
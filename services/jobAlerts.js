@@ -0,0 +1,147 @@
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+
+// Hour of the day (UTC) daily digests go out
+const DIGEST_HOUR = parseInt(process.env.JOB_ALERT_DIGEST_HOUR) || 8;
+// Job titles listed in a digest message before "and N more"
+const DIGEST_TITLES = 5;
+
+const wantsAlerts = (artist) => !!(artist && artist.isActive && artist.notificationPreferences &&
+  artist.notificationPreferences.jobAlerts !== false);
+
+const wantsDigest = (artist) => artist.notificationPreferences.jobAlertFrequency === 'daily_digest';
+
+const wantsEmail = (artist) => !!(artist.notificationPreferences.email &&
+  artist.notificationPreferences.email.jobAlerts !== false);
+
+// Saved searches a new job matches, grouped by artist
+const findMatchingSearches = async (job) => {
+  const searches = await SavedSearch.find({
+    isActive: true,
+    artist: { $ne: job.client._id || job.client },
+    'filters.category': { $in: [null, job.category] }
+  }).populate('artist', 'firstName isActive userType notificationPreferences');
+
+  const byArtist = new Map();
+  for (const search of searches) {
+    if (!wantsAlerts(search.artist) || !search.matchesJob(job)) continue;
+
+    const key = search.artist._id.toString();
+    if (!byArtist.has(key)) byArtist.set(key, { artist: search.artist, searches: [] });
+    byArtist.get(key).searches.push(search);
+  }
+
+  return [...byArtist.values()];
+};
+
+// Alert artists whose saved searches match a new job, now or in their next digest
+// Returns the ids of the artists alerted so the general new-job broadcast can skip them
+const notifyJobAlerts = async (job) => {
+  const matches = await findMatchingSearches(job);
+  if (matches.length === 0) return [];
+
+  const now = new Date();
+  const instant = matches.filter(({ artist }) => !wantsDigest(artist));
+  const digest = matches.filter(({ artist }) => wantsDigest(artist));
+
+  if (instant.length) {
+    await Notification.insertMany(instant.map(({ artist, searches }) => ({
+      recipient: artist._id,
+      type: 'job_alert',
+      title: `New job matching "${searches[0].name}"`.slice(0, 100),
+      message: `A new ${job.category} job for ${job.eventDetails.eventType} in ${job.location.city} matches your saved search${searches.length > 1 ? 'es' : ''} ${searches.map(search => `"${search.name}"`).join(', ')}. Budget: ${job.budget.currency} ${job.budget.min}-${job.budget.max}`.slice(0, 500),
+      relatedJob: job._id,
+      actionUrl: `/jobs/${job._id}`,
+      deliveryMethods: {
+        inApp: true,
+        email: wantsEmail(artist)
+      },
+      priority: job.priority === 'urgent' ? 'urgent' : 'medium'
+    })));
+  }
+
+  if (digest.length) {
+    await SavedSearch.updateMany(
+      { _id: { $in: digest.flatMap(({ searches }) => searches.map(search => search._id)) } },
+      { $push: { digestQueue: { job: job._id, matchedAt: now } } }
+    );
+  }
+
+  await SavedSearch.updateMany(
+    { _id: { $in: matches.flatMap(({ searches }) => searches.map(search => search._id)) } },
+    { $inc: { matchCount: 1 }, $set: { lastMatchedAt: now } }
+  );
+
+  return matches.map(({ artist }) => artist._id);
+};
+
+// Send each artist one notification listing the jobs queued for their digest (run hourly by the scheduler)
+const sendJobAlertDigests = async ({ now = new Date() } = {}) => {
+  const Job = require('../models/Job');
+
+  // Today's digest time; nothing goes out before it
+  const digestTime = new Date(now);
+  digestTime.setUTCHours(DIGEST_HOUR, 0, 0, 0);
+  if (now < digestTime) return { artists: 0, sent: 0 };
+
+  const searches = await SavedSearch.find({
+    'digestQueue.0': { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: digestTime } }]
+  }).populate('artist', 'firstName isActive notificationPreferences');
+
+  const byArtist = new Map();
+  for (const search of searches) {
+    if (!search.artist) continue;
+
+    const key = search.artist._id.toString();
+    if (!byArtist.has(key)) byArtist.set(key, { artist: search.artist, searches: [], jobIds: new Set() });
+    const entry = byArtist.get(key);
+    entry.searches.push(search);
+    search.digestQueue.forEach(item => entry.jobIds.add(item.job.toString()));
+  }
+
+  let sent = 0;
+
+  for (const { artist, searches, jobIds } of byArtist.values()) {
+    // Only jobs that can still be applied for
+    const jobs = await Job.find({ _id: { $in: [...jobIds] }, status: { $in: ['open', 'in_review'] } })
+      .select('title location.city')
+      .sort({ createdAt: -1 });
+
+    if (jobs.length && wantsAlerts(artist)) {
+      const titles = jobs.slice(0, DIGEST_TITLES).map(job => `"${job.title}" (${job.location.city})`).join(', ');
+      const more = jobs.length > DIGEST_TITLES ? ` and ${jobs.length - DIGEST_TITLES} more` : '';
+
+      await Notification.create({
+        recipient: artist._id,
+        type: 'job_alert_digest',
+        title: `${jobs.length} new job${jobs.length === 1 ? '' : 's'} for your saved searches`,
+        message: `Today's matches: ${titles}${more}`.slice(0, 500),
+        relatedJob: jobs.length === 1 ? jobs[0]._id : undefined,
+        actionUrl: jobs.length === 1 ? `/jobs/${jobs[0]._id}` : '/saved-searches',
+        deliveryMethods: {
+          inApp: true,
+          email: wantsEmail(artist)
+        }
+      });
+      sent++;
+    }
+
+    // Clear what this digest covered; later matches wait for the next one
+    await SavedSearch.updateMany(
+      { _id: { $in: searches.map(search => search._id) } },
+      {
+        $pull: { digestQueue: { matchedAt: { $lte: now } } },
+        $set: { lastDigestAt: now }
+      }
+    );
+  }
+
+  return { artists: byArtist.size, sent };
+};
+
+module.exports = {
+  findMatchingSearches,
+  notifyJobAlerts,
+  sendJobAlertDigests
+};
@@ -0,0 +1,128 @@
+const { distanceKm, hasCoordinates } = require('../utils/geo');
+const { escapeRegex } = require('../utils/search');
+
+const DEFAULT_RADIUS_KM = parseFloat(process.env.JOB_MATCH_DEFAULT_RADIUS_KM) || 40;
+
+// Score weights (out of 100)
+const WEIGHTS = {
+  category: 35,
+  designStyle: 20,
+  distance: 35,
+  rating: 10
+};
+
+// Job statuses that mean an artist is committed on the event date
+const BOOKED_STATUSES = ['assigned', 'in_progress'];
+
+const sameCity = (a, b) => !!(a && b && a.trim().toLowerCase() === b.trim().toLowerCase());
+
+// Start/end of the (UTC) calendar day containing a date
+const dayRange = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start, end };
+};
+
+// Build a check for artists already booked on the job's event date
+const buildBookedCheck = async (job, artistIds) => {
+  const Job = require('../models/Job');
+  const { start, end } = dayRange(job.eventDetails.eventDate);
+
+  const booked = await Job.distinct('assignedArtist', {
+    assignedArtist: { $in: artistIds },
+    status: { $in: BOOKED_STATUSES },
+    'eventDetails.eventDate': { $gte: start, $lt: end }
+  });
+
+  const bookedIds = new Set(booked.map(id => id.toString()));
+
+  return artist => {
+    if (bookedIds.has(artist._id.toString())) return true;
+
+    // A blackout or fully booked day in the artist's own calendar
+    const availability = (artist.artistProfile && artist.artistProfile.availability) || [];
+    return availability.some(day =>
+      day.date >= start && day.date < end &&
+      (day.isBlackout || (day.timeSlots.length > 0 && day.timeSlots.every(slot => slot.isBooked)))
+    );
+  };
+};
+
+// Score one artist against a job; returns null if the artist doesn't match
+const scoreArtist = (job, artist) => {
+  const profile = artist.artistProfile || {};
+  const specialties = profile.specialties || [];
+  const designStyles = (job.requirements && job.requirements.designStyle) || [];
+
+  // Specialty overlap ('other' jobs are open to every specialty)
+  const categoryMatch = job.category === 'other' || specialties.includes(job.category);
+  const matchedStyles = designStyles.filter(style => specialties.includes(style));
+  if (!categoryMatch && matchedStyles.length === 0) return null;
+
+  // Distance within the artist's travel radius (falls back to same-city when coordinates are missing)
+  const radius = profile.travelRadius || DEFAULT_RADIUS_KM;
+  const distance = distanceKm(artist.location && artist.location.coordinates, job.location.coordinates);
+
+  let distanceScore;
+  if (distance !== null) {
+    if (distance > radius) return null;
+    distanceScore = 1 - distance / radius;
+  } else {
+    if (!sameCity(artist.location && artist.location.city, job.location.city)) return null;
+    distanceScore = 0.5;
+  }
+
+  let score = distanceScore * WEIGHTS.distance;
+  score += categoryMatch ? WEIGHTS.category : 0;
+  score += designStyles.length > 0
+    ? (matchedStyles.length / designStyles.length) * WEIGHTS.designStyle
+    : (categoryMatch ? WEIGHTS.designStyle : 0);
+  score += ((profile.rating && profile.rating.average) || 0) / 5 * WEIGHTS.rating;
+
+  return {
+    score: Math.round(score),
+    distanceKm: distance !== null ? Math.round(distance * 10) / 10 : null,
+    matchedSpecialties: [
+      ...(categoryMatch && job.category !== 'other' ? [job.category] : []),
+      ...matchedStyles.filter(style => style !== job.category)
+    ]
+  };
+};
+
+// Find artists who should hear about a new job, best matches first
+const findMatchingArtists = async (job) => {
+  const User = require('../models/User');
+
+  const query = {
+    userType: 'artist',
+    isActive: true,
+    'notificationPreferences.newJobs': true
+  };
+
+  if (job.category !== 'other') {
+    const styles = [job.category, ...((job.requirements && job.requirements.designStyle) || [])];
+    query['artistProfile.specialties'] = { $in: styles };
+  }
+
+  // Without job coordinates only same-city artists can match
+  if (!hasCoordinates(job.location.coordinates)) {
+    query['location.city'] = new RegExp(`^${escapeRegex(job.location.city.trim())}$`, 'i');
+  }
+
+  const artists = await User.find(query)
+    .select('_id location artistProfile.specialties artistProfile.travelRadius artistProfile.rating artistProfile.availability notificationPreferences');
+
+  const isBooked = await buildBookedCheck(job, artists.map(artist => artist._id));
+
+  return artists
+    .filter(artist => !isBooked(artist))
+    .map(artist => ({ artist, match: scoreArtist(job, artist) }))
+    .filter(({ match }) => match !== null)
+    .sort((a, b) => b.match.score - a.match.score);
+};
+
+module.exports = {
+  scoreArtist,
+  findMatchingArtists
+};
@@ -0,0 +1,231 @@
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const scheduler = require('./scheduler');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Jobs handled per run; the rest are picked up on the next run
+const BATCH_SIZE = 100;
+
+const EVENT_REMINDER_HOURS = parseInt(process.env.EVENT_REMINDER_HOURS) || 24;
+
+// Expire open jobs whose event (or expiry date) has passed without a booking
+const expireJobs = async ({ now = new Date() } = {}) => {
+  const Proposal = require('../models/Proposal');
+
+  const jobs = await Job.find({
+    status: { $in: ['open', 'in_review'] },
+    $or: [
+      { expiresAt: { $lte: now } },
+      { 'eventDetails.eventDate': { $lte: now } }
+    ]
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+
+  for (const job of jobs) {
+    try {
+      await job.transitionTo('expired', {
+        actorType: 'system',
+        reason: 'No artist was booked before the job expired'
+      });
+    } catch (error) {
+      // Another request moved the job on first
+      if (error.statusCode) continue;
+      throw error;
+    }
+    expired++;
+
+    await Proposal.updateMany(
+      { job: job._id, status: 'pending' },
+      {
+        status: 'rejected',
+        'clientResponse.message': 'The job expired',
+        'clientResponse.respondedAt': now
+      }
+    );
+
+    await Notification.create({
+      recipient: job.client,
+      type: 'job_expired',
+      title: 'Job expired',
+      message: `"${job.title}" expired without an artist being booked`,
+      relatedJob: job._id,
+      actionUrl: `/jobs/${job._id}`
+    });
+  }
+
+  return { checked: jobs.length, expired };
+};
+
+// Stop taking proposals once the application deadline has passed
+const closeApplications = async ({ now = new Date() } = {}) => {
+  const result = await Job.updateMany(
+    {
+      status: { $in: ['open', 'in_review'] },
+      'applications.acceptingApplications': true,
+      applicationDeadline: { $lte: now }
+    },
+    { $set: { 'applications.acceptingApplications': false } }
+  );
+
+  return { closed: result.modifiedCount };
+};
+
+// Remind the client and the booked artist the day before the event
+const sendEventReminders = async ({ now = new Date() } = {}) => {
+  const jobs = await Job.find({
+    status: 'assigned',
+    'eventDetails.eventDate': { $gt: now, $lte: new Date(now.getTime() + EVENT_REMINDER_HOURS * HOUR_MS) },
+    'reminders.eventReminderSentAt': null
+  }).limit(BATCH_SIZE);
+
+  let sent = 0;
+
+  for (const job of jobs) {
+    // Claim the reminder first so a retry can't send it twice
+    const claimed = await Job.updateOne(
+      { _id: job._id, 'reminders.eventReminderSentAt': null },
+      { $set: { 'reminders.eventReminderSentAt': now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const when = `${job.eventDetails.eventDate.toDateString()} at ${job.eventDetails.eventTime}`;
+
+    await Notification.insertMany([job.client, job.assignedArtist].filter(Boolean).map(recipient => ({
+      recipient,
+      type: 'event_reminder',
+      title: 'Upcoming event',
+      message: `Reminder: "${job.title}" is on ${when} in ${job.location.city}`,
+      relatedJob: job._id,
+      actionUrl: `/jobs/${job._id}`,
+      deliveryMethods: { inApp: true, email: true },
+      priority: 'high'
+    })));
+    sent++;
+  }
+
+  return { checked: jobs.length, sent };
+};
+
+// Send review requests and reminders as they fall due, and close requests whose review window has passed
+const sendReviewRequests = async ({ now = new Date() } = {}) => {
+  const ReviewRequest = require('../models/ReviewRequest');
+
+  const expired = await ReviewRequest.expireDue(now);
+
+  const requests = await ReviewRequest.find({
+    status: 'pending',
+    nextReminderAt: { $lte: now },
+    expiresAt: { $gt: now }
+  })
+    .populate('job', 'title')
+    .limit(BATCH_SIZE);
+
+  let sent = 0;
+
+  for (const request of requests) {
+    // Record the reminder first so a retry can't send it twice
+    if (!(await request.recordReminder(now))) continue;
+    if (!request.job) continue;
+
+    const isFirst = request.remindersSent === 1;
+    const closes = request.expiresAt.toDateString();
+
+    await Notification.create({
+      recipient: request.reviewer,
+      type: 'review_request',
+      title: isFirst ? 'How did it go?' : 'Reminder: leave your review',
+      message: isFirst
+        ? `Tell others about your experience with "${request.job.title}" by leaving a review before ${closes}`
+        : `You have until ${closes} to review "${request.job.title}"`,
+      relatedJob: request.job._id,
+      relatedUser: request.reviewee,
+      actionUrl: `/jobs/${request.job._id}/review`,
+      deliveryMethods: { inApp: true, email: true }
+    });
+    sent++;
+  }
+
+  return { checked: requests.length, sent, expired };
+};
+
+// Publish double-blind reviews whose review window has closed without the other side reviewing
+const revealReviews = async ({ now = new Date() } = {}) => {
+  const Review = require('../models/Review');
+
+  const revealed = await Review.revealDue(now, BATCH_SIZE);
+
+  for (const review of revealed) {
+    await review.populate('job', 'title');
+    if (review.job) await Notification.notifyReviewRevealed(review);
+  }
+
+  return { revealed: revealed.length };
+};
+
+// Register the lifecycle tasks (plus job alert digests and email delivery) with the scheduler
+const registerLifecycleTasks = () => {
+  scheduler.register({
+    name: 'expire-jobs',
+    description: 'Expire open jobs whose event or expiry date has passed',
+    intervalMs: 15 * MINUTE_MS,
+    run: expireJobs
+  });
+
+  scheduler.register({
+    name: 'close-applications',
+    description: 'Stop accepting proposals after the application deadline',
+    intervalMs: 15 * MINUTE_MS,
+    run: closeApplications
+  });
+
+  scheduler.register({
+    name: 'event-reminders',
+    description: `Remind clients and artists ${EVENT_REMINDER_HOURS} hours before an event`,
+    intervalMs: 30 * MINUTE_MS,
+    run: sendEventReminders
+  });
+
+  scheduler.register({
+    name: 'review-requests',
+    description: 'Send review requests and reminders, and close expired requests',
+    intervalMs: HOUR_MS,
+    run: sendReviewRequests
+  });
+
+  scheduler.register({
+    name: 'reveal-reviews',
+    description: 'Publish hidden reviews once their review window closes',
+    intervalMs: 15 * MINUTE_MS,
+    run: revealReviews
+  });
+
+  scheduler.register({
+    name: 'job-alert-digests',
+    description: 'Send daily digests of saved search matches',
+    intervalMs: HOUR_MS,
+    run: require('./jobAlerts').sendJobAlertDigests
+  });
+
+  if (process.env.EMAIL_WORKER_ENABLED !== 'false') {
+    const { processPendingEmails } = require('./emailWorker');
+
+    scheduler.register({
+      name: 'deliver-emails',
+      description: 'Send queued notification emails',
+      intervalMs: parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || MINUTE_MS,
+      run: () => processPendingEmails()
+    });
+  }
+};
+
+module.exports = {
+  expireJobs,
+  closeApplications,
+  sendEventReminders,
+  sendReviewRequests,
+  revealReviews,
+  registerLifecycleTasks
+};
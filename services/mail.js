@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const templates = require('./mailTemplates');
+
+// Transport factories keyed by MAIL_TRANSPORT value
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  }),
+
+  // Renders the message to JSON without sending it (dev and tests)
+  json: () => nodemailer.createTransport({ jsonTransport: true }),
+
+  // Renders the message to JSON and writes it to MAIL_OUTBOX_DIR
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      sendMail: async (mailOptions) => {
+        const info = await jsonTransport.sendMail(mailOptions);
+
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const filename = `${Date.now()}-${info.messageId.replace(/[^a-z0-9]/gi, '')}.json`;
+        await fs.promises.writeFile(path.join(outboxDir, filename), info.message);
+
+        return { ...info, path: path.join(outboxDir, filename) };
+      }
+    };
+  }
+};
+
+let transport = null;
+
+// Pick the configured transport (SMTP when configured, JSON otherwise)
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.SMTP_HOST ? 'smtp' : 'json';
+};
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = getTransportName();
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport '${name}'`);
+  }
+
+  transport = factory();
+  return transport;
+};
+
+// Register a custom transport factory (e.g. a third-party provider)
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Replace the active transport (used by tests to capture mail)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a raw email
+const sendMail = async ({ to, subject, html, text }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Mehndi Booking <no-reply@mehndibooking.com>',
+    to,
+    subject,
+    html,
+    text
+  });
+
+  if (getTransportName() === 'json' && process.env.NODE_ENV === 'development') {
+    console.log(`Email to ${to} (json transport): ${subject}`);
+  }
+
+  return info;
+};
+
+// Render a named template and send it
+const sendTemplate = (templateName, to, data = {}) => {
+  const template = templates[templateName];
+
+  if (!template) {
+    throw new Error(`Unknown email template '${templateName}'`);
+  }
+
+  return sendMail({ to, ...template(data) });
+};
+
+const sendVerificationEmail = (user, verifyUrl) =>
+  sendTemplate('verification', user.email, { user, verifyUrl });
+
+const sendPasswordResetEmail = (user, resetUrl) =>
+  sendTemplate('passwordReset', user.email, { user, resetUrl });
+
+const sendTwoFactorResetEmail = (user, resetUrl) =>
+  sendTemplate('twoFactorReset', user.email, { user, resetUrl });
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendTwoFactorResetEmail,
+  registerTransport,
+  setTransport
+};
@@ -0,0 +1,116 @@
+// Email templates - each returns { subject, html, text }
+
+const APP_NAME = 'Mehndi Booking';
+
+const appUrl = (urlPath = '') => `${process.env.CLIENT_URL || 'http://localhost:3000'}${urlPath}`;
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap paragraphs and an optional call-to-action in the shared HTML layout
+const layout = ({ heading, paragraphs, action }) => {
+  const body = paragraphs.map(p => `<p style="margin:0 0 16px">${escapeHtml(p)}</p>`).join('');
+  const button = action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="background:#b5541c;color:#fff;padding:12px 20px;border-radius:4px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#333;max-width:600px;margin:0 auto;padding:24px">
+    <h2 style="color:#b5541c">${escapeHtml(heading)}</h2>
+    ${body}
+    ${button}
+    <p style="font-size:12px;color:#888">You are receiving this email from ${APP_NAME}.</p>
+  </body>
+</html>`;
+};
+
+const plainText = ({ paragraphs, action }) => [
+  ...paragraphs,
+  action ? `${action.label}: ${action.url}` : null,
+  `- ${APP_NAME}`
+].filter(Boolean).join('\n\n');
+
+const render = (subject, content) => ({
+  subject,
+  html: layout({ heading: subject, ...content }),
+  text: plainText(content)
+});
+
+const verification = ({ user, verifyUrl }) => render('Verify your email address', {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    `Thanks for joining ${APP_NAME}. Please confirm your email address to finish setting up your account. The link expires in 24 hours.`
+  ],
+  action: { label: 'Verify email', url: verifyUrl }
+});
+
+const passwordReset = ({ user, resetUrl }) => render('Reset your password', {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    'We received a request to reset your password. The link below expires in 10 minutes.',
+    'If you did not request this, you can safely ignore this email.'
+  ],
+  action: { label: 'Reset password', url: resetUrl }
+});
+
+const twoFactorReset = ({ user, resetUrl }) => render('Turn off two-factor authentication', {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    'We received a request to turn off two-factor authentication because you no longer have access to your authenticator app or recovery codes. The link below expires in 1 hour and signs you out of every device.',
+    'If you did not request this, change your password straight away.'
+  ],
+  action: { label: 'Turn off two-factor authentication', url: resetUrl }
+});
+
+const proposalAccepted = ({ user, job }) => render('Your proposal was accepted', {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    `Great news - your proposal for "${job.title}" has been accepted.`,
+    'Get in touch with the client to confirm the final details of the booking.'
+  ],
+  action: { label: 'View job', url: appUrl(`/jobs/${job._id}`) }
+});
+
+const proposalDeclined = ({ user, job }) => render('Update on your proposal', {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    `The client for "${job.title}" has decided not to go ahead with your proposal.`,
+    'There are plenty of other jobs waiting for you - keep applying!'
+  ],
+  action: { label: 'Browse jobs', url: appUrl('/jobs') }
+});
+
+const newJobAlert = ({ user, job }) => render(`New ${job.category} job available`, {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    `A new ${job.category} job for a ${job.eventDetails.eventType} has been posted in ${job.location.city}.`,
+    `Budget: ${job.budget.currency} ${job.budget.min}-${job.budget.max}`
+  ],
+  action: { label: 'View job', url: appUrl(`/jobs/${job._id}`) }
+});
+
+// Fallback for notification types without a dedicated template
+const notification = ({ user, notification }) => render(notification.title, {
+  paragraphs: [
+    `Hi ${user.firstName},`,
+    notification.message
+  ],
+  action: notification.actionUrl
+    ? { label: 'View details', url: appUrl(notification.actionUrl) }
+    : null
+});
+
+module.exports = {
+  verification,
+  passwordReset,
+  twoFactorReset,
+  proposalAccepted,
+  proposalDeclined,
+  newJobAlert,
+  notification
+};
@@ -0,0 +1,53 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refund tiers per policy: the first tier whose minDaysBefore is met applies
+const POLICIES = {
+  flexible: [
+    { minDaysBefore: 1, refundPercent: 100 },
+    { minDaysBefore: 0, refundPercent: 50 }
+  ],
+  moderate: [
+    { minDaysBefore: 7, refundPercent: 100 },
+    { minDaysBefore: 2, refundPercent: 50 },
+    { minDaysBefore: 0, refundPercent: 0 }
+  ],
+  strict: [
+    { minDaysBefore: 14, refundPercent: 50 },
+    { minDaysBefore: 0, refundPercent: 0 }
+  ]
+};
+
+const DEFAULT_POLICY = 'moderate';
+
+// terms.cancellationPolicy is free text; pick the named policy it mentions
+const resolvePolicy = (text) => {
+  const normalised = String(text || '').toLowerCase();
+  const name = Object.keys(POLICIES).find(key => normalised.includes(key)) || DEFAULT_POLICY;
+  return { name, tiers: POLICIES[name] };
+};
+
+// Percentage of the amount paid that goes back to the client
+// Artists and the system cancelling always refund in full
+const getRefundPercent = ({ policyText, eventDate, cancelledAt = new Date(), actorType = 'client' }) => {
+  const policy = resolvePolicy(policyText);
+
+  if (actorType !== 'client') {
+    return { policy: policy.name, daysBefore: null, refundPercent: 100 };
+  }
+
+  const daysBefore = Math.max(0, (new Date(eventDate) - new Date(cancelledAt)) / DAY_MS);
+  const tier = policy.tiers.find(t => daysBefore >= t.minDaysBefore) || { refundPercent: 0 };
+
+  return {
+    policy: policy.name,
+    daysBefore: Math.floor(daysBefore),
+    refundPercent: tier.refundPercent
+  };
+};
+
+module.exports = {
+  POLICIES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  getRefundPercent
+};
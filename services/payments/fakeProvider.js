@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Local payment provider for development and tests. Charges stay 'pending' until a
+// signed webhook (see buildWebhook) reports the outcome, unless FAKE_PAYMENTS_AUTO_SUCCEED=true.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// No default: a known secret would let anyone sign a "succeeded" webhook
+const getSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    const error = new Error('Payment webhooks are not configured (PAYMENT_WEBHOOK_SECRET is not set)');
+    error.statusCode = 503;
+    throw error;
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const newReference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (rawBody) => crypto
+  .createHmac('sha256', getSecret())
+  .update(rawBody)
+  .digest('hex');
+
+// Start a charge for a deposit or balance payment
+const createCharge = async (payment) => {
+  const reference = newReference('fake_ch');
+
+  if (process.env.FAKE_PAYMENTS_AUTO_SUCCEED === 'true' && process.env.NODE_ENV !== 'production') {
+    return { reference, status: 'succeeded' };
+  }
+
+  return {
+    reference,
+    status: 'pending',
+    checkoutUrl: `/api/payments/fake/${reference}/succeeded`
+  };
+};
+
+// Refunds settle immediately
+const createRefund = async (refund, original) => ({
+  reference: newReference('fake_re'),
+  status: 'succeeded'
+});
+
+// Verify and decode a webhook request into { reference, status, failureReason }
+const parseWebhook = (req) => {
+  const signature = req.headers[SIGNATURE_HEADER];
+  const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+  const expected = sign(rawBody);
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    const error = new Error('Invalid webhook signature');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const { reference, status, failureReason } = req.body || {};
+  return { reference, status, failureReason };
+};
+
+// Build a signed webhook payload, as the provider would send it
+const buildWebhook = (reference, status, failureReason) => {
+  const body = JSON.stringify({ reference, status, failureReason });
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      [SIGNATURE_HEADER]: sign(body)
+    }
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  createCharge,
+  createRefund,
+  parseWebhook,
+  buildWebhook
+};
@@ -0,0 +1,436 @@
+const Payment = require('../../models/Payment');
+const { getRefundPercent } = require('./cancellationPolicy');
+
+// Payment providers keyed by PAYMENT_PROVIDER value
+const providers = {
+  fake: require('./fakeProvider')
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEPOSIT_PERCENT = parseFloat(process.env.PAYMENT_DEPOSIT_PERCENT) || 25;
+const BALANCE_DUE_DAYS = parseInt(process.env.PAYMENT_BALANCE_DUE_DAYS) || 2;
+
+// Job statuses with a confirmed booking that payments can be taken against
+const PAYABLE_JOB_STATUSES = ['assigned', 'in_progress', 'completed'];
+const OPEN_STATUSES = ['requested', 'pending'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const paymentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw paymentError(`Unknown payment provider '${name}'`, 404);
+  }
+  // Anyone can settle fake payments, so they must never be taken for real
+  if (provider.name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw paymentError('The fake payment provider is disabled in production; set PAYMENT_PROVIDER', 503);
+  }
+  return provider;
+};
+
+// Balance is due a few days before the event
+const getBalanceDueDate = (job) =>
+  new Date(new Date(job.eventDetails.eventDate).getTime() - BALANCE_DUE_DAYS * DAY_MS);
+
+// Load the accepted proposal a job's payments are priced from
+const getBooking = async (job) => {
+  const Proposal = require('../../models/Proposal');
+
+  if (!job.selectedProposal || !PAYABLE_JOB_STATUSES.includes(job.status)) {
+    throw paymentError('Payments can only be taken once an artist has been booked');
+  }
+
+  const proposal = await Proposal.findById(job.selectedProposal);
+  if (!proposal) {
+    throw paymentError('Accepted proposal not found', 404);
+  }
+
+  return proposal;
+};
+
+// Work out the booking's payment status from the ledger
+const derivePaymentStatus = (totals, totalPrice) => {
+  if (totals.amountRefunded > 0) {
+    return totals.amountRefunded >= totals.amountPaid ? 'refunded' : 'partially_refunded';
+  }
+  if (totals.amountPaid >= totalPrice) return 'paid';
+  if (totals.openRequests.some(p => p.type === 'balance')) return 'balance_requested';
+  if (totals.depositPaid) return 'deposit_paid';
+  if (totals.openRequests.some(p => p.type === 'deposit')) return 'deposit_requested';
+  return 'unpaid';
+};
+
+// Recompute the payment summary stored on the job
+const syncJobPayment = async (job, proposal) => {
+  const Job = require('../../models/Job');
+
+  const totals = await Payment.getJobTotals(job._id);
+  const totalPrice = proposal.pricing.totalPrice;
+
+  const summary = {
+    status: derivePaymentStatus(totals, totalPrice),
+    totalPrice,
+    currency: proposal.pricing.currency,
+    amountPaid: totals.amountPaid,
+    amountRefunded: totals.amountRefunded,
+    balanceDue: roundMoney(Math.max(0, totalPrice - totals.amountPaid)),
+    balanceDueAt: getBalanceDueDate(job)
+  };
+
+  await Job.updateOne({ _id: job._id }, { $set: { payment: summary } });
+  return summary;
+};
+
+// In-app notification about a payment (failures here never block the payment itself)
+const notify = async (recipient, type, title, message, payment) => {
+  const Notification = require('../../models/Notification');
+
+  try {
+    await Notification.create({
+      recipient,
+      type,
+      title,
+      message,
+      relatedJob: payment.job,
+      relatedProposal: payment.proposal,
+      relatedUser: recipient.toString() === payment.client.toString() ? payment.artist : payment.client,
+      actionUrl: `/jobs/${payment.job}`,
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Error sending payment notification:', error);
+  }
+};
+
+// Drop a "payment made" system message into the client/artist conversation
+const postPaymentMessage = async (payment) => {
+  const Message = require('../../models/Message');
+
+  try {
+    await Message.create({
+      sender: payment.client,
+      recipient: payment.artist,
+      conversation: {
+        type: 'job',
+        relatedJob: payment.job,
+        relatedProposal: payment.proposal
+      },
+      content: {
+        type: 'system',
+        systemMessage: 'payment_made',
+        text: `${payment.type === 'deposit' ? 'Deposit' : 'Balance'} of ${payment.currency} ${payment.amount.toFixed(2)} paid`
+      }
+    });
+  } catch (error) {
+    console.error('Error posting payment message:', error);
+  }
+};
+
+// Request a deposit or balance payment from the client
+// options: { type, amount, dueDate, description, requestedBy }
+const requestPayment = async (job, options = {}) => {
+  const { type, requestedBy, description } = options;
+  const proposal = await getBooking(job);
+
+  if (job.status === 'completed' && type === 'deposit') {
+    throw paymentError('A deposit cannot be requested for a completed job');
+  }
+
+  const totals = await Payment.getJobTotals(job._id);
+  if (totals.amountRefunded > 0) {
+    throw paymentError('This booking has been refunded');
+  }
+  if (totals.openRequests.some(p => p.type === type)) {
+    throw paymentError(`There is already an open ${type} request for this job`, 409);
+  }
+  if (type === 'deposit' && totals.depositPaid) {
+    throw paymentError('The deposit has already been paid', 409);
+  }
+
+  const outstanding = roundMoney(proposal.pricing.totalPrice - totals.amountPaid - totals.amountOpen);
+  if (outstanding <= 0) {
+    throw paymentError('Nothing left to pay for this booking', 409);
+  }
+
+  const amount = roundMoney(options.amount || (type === 'deposit'
+    ? proposal.pricing.totalPrice * DEPOSIT_PERCENT / 100
+    : outstanding));
+
+  if (amount > outstanding) {
+    throw paymentError(`Amount cannot exceed the outstanding ${proposal.pricing.currency} ${outstanding.toFixed(2)}`);
+  }
+
+  const payment = new Payment({
+    job: job._id,
+    proposal: proposal._id,
+    client: job.client._id || job.client,
+    artist: proposal.artist,
+    type,
+    amount,
+    currency: proposal.pricing.currency,
+    description,
+    dueDate: options.dueDate || (type === 'balance' ? getBalanceDueDate(job) : undefined),
+    provider: getProvider().name,
+    requestedBy
+  });
+  payment.recordEvent('requested', requestedBy ? 'api' : 'system');
+  await payment.save();
+
+  await syncJobPayment(job, proposal);
+  await notify(
+    payment.client,
+    'payment_requested',
+    type === 'deposit' ? 'Deposit requested' : 'Balance requested',
+    `${payment.currency} ${amount.toFixed(2)} is due for "${job.title}"`,
+    payment
+  );
+
+  return payment;
+};
+
+// Apply a status reported by the provider (or our own API) to a payment, with any other fields in `set`
+// Idempotent: repeating the same status is a no-op; settled payments can't change
+const applyPaymentStatus = async (payment, status, { source = 'webhook', payload, failureReason, set = {} } = {}) => {
+  const Job = require('../../models/Job');
+  const Proposal = require('../../models/Proposal');
+
+  if (payment.status === status) return payment;
+  if (['succeeded', 'cancelled'].includes(payment.status)) {
+    throw paymentError(`Payment is already ${payment.status}`, 409);
+  }
+
+  const now = new Date();
+  const fields = { ...set, status };
+  if (status === 'succeeded') fields.paidAt = now;
+  if (status === 'failed') {
+    fields.failedAt = now;
+    fields.failureReason = failureReason || 'Payment failed';
+  }
+
+  // Guarded on the status it moves from, so a repeated webhook delivery can't apply it twice
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: payment.status },
+    {
+      $set: fields,
+      ...(status !== 'failed' && { $unset: { failureReason: '' } }),
+      $push: { events: { status, source, payload, at: now } }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Payment.findById(payment._id);
+    if (current && current.status === status) return current;
+    throw paymentError('Payment status was changed by another request, please reload it and try again', 409);
+  }
+
+  // A refund that didn't go through frees its amount on the charge again
+  if (updated.type === 'refund' && ['failed', 'cancelled'].includes(status)) {
+    await Payment.updateOne({ _id: updated.refundOf }, { $inc: { refundedAmount: -updated.amount } });
+  }
+
+  const job = await Job.findById(updated.job);
+  const proposal = await Proposal.findById(updated.proposal);
+  if (!job || !proposal) return updated;
+
+  if (status === 'succeeded' && updated.type !== 'refund') {
+    await notify(
+      updated.artist,
+      'payment_received',
+      'Payment received',
+      `${updated.currency} ${updated.amount.toFixed(2)} ${updated.type} received for "${job.title}"`,
+      updated
+    );
+    await postPaymentMessage(updated);
+  }
+
+  const summary = await syncJobPayment(job, proposal);
+
+  // Once the deposit lands, ask for the rest ahead of the event
+  if (status === 'succeeded' && updated.type === 'deposit' && summary.balanceDue > 0 &&
+      ['assigned', 'in_progress'].includes(job.status)) {
+    try {
+      await requestPayment(job, { type: 'balance' });
+    } catch (error) {
+      // An artist may already have requested the balance manually
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+
+  return updated;
+};
+
+// Start paying a requested (or previously failed) charge
+const payPayment = async (payment) => {
+  if (payment.type === 'refund') {
+    throw paymentError('Refunds cannot be paid');
+  }
+  if (!['requested', 'failed'].includes(payment.status)) {
+    throw paymentError(`Payment is already ${payment.status}`, 409);
+  }
+
+  const provider = getProvider(payment.provider);
+  const result = await provider.createCharge(payment);
+
+  return applyPaymentStatus(payment, result.status, {
+    source: 'api',
+    set: { providerReference: result.reference, checkoutUrl: result.checkoutUrl }
+  });
+};
+
+// Refund part or all of a succeeded charge
+const refundPayment = async (charge, amount, { reason, requestedBy } = {}) => {
+  if (charge.type === 'refund' || charge.status !== 'succeeded') {
+    throw paymentError('Only succeeded charges can be refunded');
+  }
+
+  const refundable = roundMoney(charge.amount - (charge.refundedAmount || 0));
+  const refundAmount = roundMoney(amount || refundable);
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw paymentError(`Refund must be between 0.01 and ${refundable.toFixed(2)}`);
+  }
+
+  // Claim the amount on the charge first, so concurrent refunds can't add up to more than was paid
+  // (half a penny of slack for floating point)
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: charge._id,
+      status: 'succeeded',
+      $or: [
+        { refundedAmount: { $lte: charge.amount - refundAmount + 0.005 } },
+        { refundedAmount: { $exists: false } }
+      ]
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw paymentError('The charge was refunded by another request, please reload it and try again', 409);
+  }
+  charge.refundedAmount = claimed.refundedAmount;
+
+  const refund = new Payment({
+    job: charge.job,
+    proposal: charge.proposal,
+    client: charge.client,
+    artist: charge.artist,
+    type: 'refund',
+    amount: refundAmount,
+    currency: charge.currency,
+    provider: charge.provider,
+    refundOf: charge._id,
+    refundReason: reason,
+    requestedBy
+  });
+  refund.recordEvent('requested', requestedBy ? 'api' : 'system');
+
+  let result;
+  try {
+    result = await getProvider(charge.provider).createRefund(refund, charge);
+    refund.providerReference = result.reference;
+    await refund.save();
+  } catch (error) {
+    await Payment.updateOne({ _id: charge._id }, { $inc: { refundedAmount: -refundAmount } });
+    throw error;
+  }
+
+  const settled = await applyPaymentStatus(refund, result.status, { source: 'api' });
+
+  if (settled.status === 'succeeded') {
+    await notify(
+      settled.client,
+      'payment_refunded',
+      'Refund issued',
+      `${settled.currency} ${refundAmount.toFixed(2)} has been refunded${reason ? `: ${reason}` : ''}`.substring(0, 500),
+      settled
+    );
+  }
+
+  return settled;
+};
+
+// Settle a cancelled booking: cancel open requests and refund per the cancellation policy
+const refundForCancellation = async (job) => {
+  const proposal = job.selectedProposal ? await require('../../models/Proposal').findById(job.selectedProposal) : null;
+  if (!proposal) return null;
+
+  const payments = await Payment.find({ job: job._id });
+  if (payments.length === 0) return null;
+
+  for (const payment of payments.filter(p => p.type !== 'refund' && OPEN_STATUSES.includes(p.status))) {
+    payment.recordEvent('cancelled', 'system');
+    await payment.save();
+  }
+
+  const cancellation = job.cancellation || {};
+  const { policy, refundPercent } = getRefundPercent({
+    policyText: proposal.terms && proposal.terms.cancellationPolicy,
+    eventDate: job.eventDetails.eventDate,
+    cancelledAt: cancellation.cancelledAt,
+    actorType: cancellation.actorType
+  });
+
+  const totals = await Payment.getJobTotals(job._id);
+  let remaining = roundMoney(totals.amountPaid * refundPercent / 100 - totals.amountRefunded);
+  const refunds = [];
+
+  // Refund the most recent charges first
+  const charges = payments
+    .filter(p => p.type !== 'refund' && p.status === 'succeeded')
+    .sort((a, b) => b.paidAt - a.paidAt);
+
+  for (const charge of charges) {
+    if (remaining <= 0) break;
+
+    const amount = roundMoney(Math.min(remaining, charge.amount - (charge.refundedAmount || 0)));
+    if (amount <= 0) continue;
+
+    refunds.push(await refundPayment(charge, amount, {
+      reason: `Booking cancelled (${policy} policy, ${refundPercent}% refund)`
+    }));
+    remaining = roundMoney(remaining - amount);
+  }
+
+  const summary = await syncJobPayment(job, proposal);
+  return { policy, refundPercent, refunds, summary };
+};
+
+// Handle a provider callback; returns the updated payment (or null if it's not ours)
+const handleWebhook = async (providerName, req) => {
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook(req);
+
+  if (!event.reference || !Payment.schema.path('status').enumValues.includes(event.status)) {
+    throw paymentError('Invalid webhook payload');
+  }
+
+  const payment = await Payment.findOne({ provider: provider.name, providerReference: event.reference });
+  if (!payment) return null;
+
+  return applyPaymentStatus(payment, event.status, {
+    source: 'webhook',
+    payload: req.body,
+    failureReason: event.failureReason
+  });
+};
+
+module.exports = {
+  DEPOSIT_PERCENT,
+  BALANCE_DUE_DAYS,
+  getProvider,
+  getBalanceDueDate,
+  syncJobPayment,
+  requestPayment,
+  payPayment,
+  applyPaymentStatus,
+  refundPayment,
+  refundForCancellation,
+  handleWebhook
+};
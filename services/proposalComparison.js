@@ -0,0 +1,126 @@
+const { distanceKm } = require('../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, places = 2) =>
+  value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const durationInHours = (duration) => {
+  if (!duration || !duration.value) return null;
+  return duration.unit === 'days' ? duration.value * 8 : duration.value;
+};
+
+// How the artist measures up to the job's professionalRequirements
+const checkRequirements = (job, proposal, artist) => {
+  const requirements = job.professionalRequirements || {};
+  const profile = artist.artistProfile || {};
+  const documents = profile.documents || {};
+
+  // The proposal's stated experience wins over the profile figure
+  const years = (proposal.experience && proposal.experience.yearsOfExperience) || profile.experience || 0;
+  const minimum = (requirements.experience && requirements.experience.minimum) || 0;
+  const preferred = (requirements.experience && requirements.experience.preferred) || minimum;
+
+  let experienceLevel = 'below_minimum';
+  if (years >= preferred) experienceLevel = 'meets_preferred';
+  else if (years >= minimum) experienceLevel = 'meets_minimum';
+
+  const portfolioSamples = (profile.portfolio || []).length;
+  const minimumSamples = (requirements.portfolio && requirements.portfolio.minimumSamples) || 0;
+
+  const checks = {
+    certification: !(requirements.certification && requirements.certification.required) || !!documents.certification,
+    insurance: !(requirements.insurance && requirements.insurance.required) || !!documents.insurance,
+    portfolio: !(requirements.portfolio && requirements.portfolio.required) || portfolioSamples >= minimumSamples
+  };
+
+  return {
+    yearsOfExperience: years,
+    minimumYears: minimum,
+    preferredYears: preferred,
+    experienceLevel,
+    portfolioSamples,
+    ...checks,
+    meetsAll: experienceLevel !== 'below_minimum' && Object.values(checks).every(Boolean)
+  };
+};
+
+// One normalised row of the comparison
+const compareRow = (job, proposal) => {
+  const artist = proposal.artist || {};
+  const profile = artist.artistProfile || {};
+  const guestCount = job.eventDetails.guestCount || null;
+  const totalPrice = proposal.pricing.totalPrice;
+  const hours = durationInHours(proposal.timeline.estimatedDuration);
+  const distance = distanceKm(artist.location && artist.location.coordinates, job.location.coordinates);
+  const postedAt = job.createdAt || job.updatedAt;
+
+  return {
+    proposal: proposal._id,
+    artist: {
+      _id: artist._id,
+      firstName: artist.firstName,
+      lastName: artist.lastName,
+      profileImage: artist.profileImage,
+      isVerified: !!profile.isVerified
+    },
+    status: proposal.status,
+    score: proposal.competitiveness && proposal.competitiveness.scoredAt ? proposal.competitiveness.score : null,
+    price: {
+      total: totalPrice,
+      currency: proposal.pricing.currency,
+      perPerson: guestCount ? round(totalPrice / guestCount) : null,
+      perHour: hours ? round(totalPrice / hours) : null,
+      withinBudget: totalPrice >= job.budget.min && totalPrice <= job.budget.max
+    },
+    duration: proposal.timeline.estimatedDuration,
+    rating: {
+      average: round((profile.rating && profile.rating.average) || 0, 1),
+      count: (profile.rating && profile.rating.count) || 0
+    },
+    experience: checkRequirements(job, proposal, artist),
+    distanceKm: distance !== null ? round(distance, 1) : null,
+    responseTimeHours: postedAt && proposal.submittedAt
+      ? round(Math.max(0, proposal.submittedAt - postedAt) / HOUR_MS, 1)
+      : null,
+    clientTriage: proposal.clientTriage
+  };
+};
+
+// Proposal ids holding the best value of a metric (ties share the title)
+const bestBy = (rows, pick, lowest = true) => {
+  const values = rows.map(pick).filter(value => value !== null && value !== undefined);
+  if (!values.length) return [];
+
+  const best = lowest ? Math.min(...values) : Math.max(...values);
+  return rows.filter(row => pick(row) === best).map(row => row.proposal);
+};
+
+// Side-by-side view of a job's proposals (artist populated with profile and location)
+const compareProposals = (job, proposals) => {
+  const rows = proposals.map(proposal => compareRow(job, proposal));
+
+  return {
+    job: {
+      _id: job._id,
+      title: job.title,
+      guestCount: job.eventDetails.guestCount,
+      budget: job.budget,
+      professionalRequirements: job.professionalRequirements
+    },
+    proposals: rows,
+    highlights: {
+      lowestPrice: bestBy(rows, row => row.price.total),
+      lowestPricePerPerson: bestBy(rows, row => row.price.perPerson),
+      highestRated: bestBy(rows.filter(row => row.rating.count > 0), row => row.rating.average, false),
+      mostExperienced: bestBy(rows, row => row.experience.yearsOfExperience, false),
+      closest: bestBy(rows, row => row.distanceKm),
+      fastestResponse: bestBy(rows, row => row.responseTimeHours)
+    }
+  };
+};
+
+module.exports = {
+  checkRequirements,
+  compareProposals
+};
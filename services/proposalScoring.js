@@ -0,0 +1,165 @@
+const { checkRequirements } = require('./proposalComparison');
+
+// Score weights (out of 100)
+const WEIGHTS = {
+  price: 35,
+  specialization: 25,
+  requirements: 25,
+  rating: 15
+};
+
+// Artists without reviews yet get a neutral rating score rather than zero
+const UNRATED_SCORE = 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// 1 at the bottom of the budget, 0.5 at the top, falling to 0 at 25% over it
+const scorePrice = (job, price) => {
+  const { min, max } = job.budget;
+
+  if (price <= min) return 1;
+  if (price <= max) return 1 - ((price - min) / (max - min || 1)) * 0.5;
+  return Math.max(0, 0.5 - ((price - max) / max) * 2);
+};
+
+// Share of the job's design styles (or its category when none are given) the artist covers
+const scoreSpecialization = (job, proposal, artist) => {
+  const offered = new Set([
+    ...((proposal.experience && proposal.experience.specializations) || []),
+    ...((artist.artistProfile && artist.artistProfile.specialties) || [])
+  ].map(style => style.toLowerCase()));
+
+  const wanted = (job.requirements && job.requirements.designStyle) || [];
+
+  if (wanted.length) {
+    const missing = wanted.filter(style => !offered.has(style));
+    return { score: 1 - missing.length / wanted.length, missing };
+  }
+
+  if (job.category === 'other') return { score: 1, missing: [] };
+  return offered.has(job.category)
+    ? { score: 1, missing: [] }
+    : { score: 0.5, missing: [job.category] };
+};
+
+// Half for experience, half shared by the insurance/certification/portfolio checks
+const scoreRequirements = (requirements) => {
+  const experience = { below_minimum: 0, meets_minimum: 0.6, meets_preferred: 1 }[requirements.experienceLevel];
+  const documents = ['insurance', 'certification', 'portfolio'].filter(check => requirements[check]).length / 3;
+
+  return experience * 0.5 + documents * 0.5;
+};
+
+const scoreRating = (artist) => {
+  const rating = (artist.artistProfile && artist.artistProfile.rating) || {};
+  return rating.count ? (rating.average || 0) / 5 : UNRATED_SCORE;
+};
+
+// Tips shown only to the artist
+const buildFeedback = (job, proposal, { specialization, requirements, rating }) => {
+  const feedback = [];
+  const price = proposal.pricing.totalPrice;
+  const { currency } = job.budget;
+
+  if (price > job.budget.max) {
+    feedback.push(`Your price is above the client's budget of ${currency} ${job.budget.min}–${job.budget.max}`);
+  } else if (price > (job.budget.min + job.budget.max) / 2) {
+    feedback.push('Your price is in the upper half of the client\'s budget');
+  }
+
+  if (specialization.missing.length) {
+    feedback.push(`The client is looking for ${specialization.missing.join(', ')} designs; add them to your proposal's specializations if you offer them`);
+  }
+
+  if (requirements.experienceLevel === 'below_minimum') {
+    feedback.push(`The client asks for at least ${requirements.minimumYears} years of experience`);
+  } else if (requirements.experienceLevel === 'meets_minimum') {
+    feedback.push(`The client prefers ${requirements.preferredYears}+ years of experience`);
+  }
+  if (!requirements.insurance) feedback.push('Upload your insurance document; this job requires it');
+  if (!requirements.certification) feedback.push('Upload your certification; this job requires it');
+  if (!requirements.portfolio) {
+    const portfolio = (job.professionalRequirements && job.professionalRequirements.portfolio) || {};
+    const needed = portfolio.minimumSamples || 0;
+    feedback.push(`Your portfolio has ${requirements.portfolioSamples} of the ${needed} samples this job asks for`);
+  }
+
+  if (rating === UNRATED_SCORE) {
+    feedback.push('Completed bookings with reviews will raise your score');
+  }
+
+  return feedback;
+};
+
+// Rate a proposal against its job (artist needs artistProfile); returns the stored competitiveness
+const scoreProposal = (job, proposal, artist) => {
+  const requirements = checkRequirements(job, proposal, artist);
+  const specialization = scoreSpecialization(job, proposal, artist);
+
+  const breakdown = {
+    price: round(scorePrice(job, proposal.pricing.totalPrice)),
+    specialization: round(specialization.score),
+    requirements: round(scoreRequirements(requirements)),
+    rating: round(scoreRating(artist))
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((total, key) => total + breakdown[key] * WEIGHTS[key], 0);
+
+  return {
+    score: Math.round(score),
+    breakdown,
+    feedback: buildFeedback(job, proposal, { specialization, requirements, rating: breakdown.rating }),
+    scoredAt: new Date()
+  };
+};
+
+const ARTIST_FIELDS = 'artistProfile.specialties artistProfile.experience artistProfile.rating artistProfile.documents artistProfile.portfolio';
+
+// Score one proposal and store the result on it
+const updateProposalScore = async (proposal, job = null) => {
+  const Proposal = require('../models/Proposal');
+  const Job = require('../models/Job');
+  const User = require('../models/User');
+
+  const scoredJob = job || await Job.findById(proposal.job._id || proposal.job);
+  const artist = await User.findById(proposal.artist._id || proposal.artist).select(ARTIST_FIELDS);
+  if (!scoredJob || !artist) return null;
+
+  const competitiveness = scoreProposal(scoredJob, proposal, artist);
+
+  await Proposal.updateOne({ _id: proposal._id }, { $set: { competitiveness } });
+
+  return competitiveness;
+};
+
+// Re-score a job's pending proposals (after the job's budget or requirements change)
+const rescoreJobProposals = async (job) => {
+  const Proposal = require('../models/Proposal');
+
+  const proposals = await Proposal.find({ job: job._id, status: 'pending' });
+  for (const proposal of proposals) {
+    await updateProposalScore(proposal, job);
+  }
+
+  return proposals.length;
+};
+
+// Re-score an artist's pending proposals (after their profile, e.g. portfolio, changes)
+const rescoreArtistProposals = async (artistId) => {
+  const Proposal = require('../models/Proposal');
+
+  const proposals = await Proposal.find({ artist: artistId, status: 'pending' });
+  for (const proposal of proposals) {
+    await updateProposalScore(proposal);
+  }
+
+  return proposals.length;
+};
+
+module.exports = {
+  WEIGHTS,
+  scoreProposal,
+  updateProposalScore,
+  rescoreJobProposals,
+  rescoreArtistProposals
+};
@@ -0,0 +1,222 @@
+// Per-artist rating aggregates (User.artistProfile.rating), kept up to date as client reviews
+// start or stop counting and rebuildable from the reviews themselves (npm run ratings:rebuild)
+
+// Bayesian average: every artist starts with PRIOR_WEIGHT imaginary reviews of PRIOR_MEAN,
+// so a single 5-star review doesn't outrank a long record of 4.8s
+const PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN) || 4;
+const PRIOR_WEIGHT = parseFloat(process.env.RATING_PRIOR_WEIGHT) || 5;
+
+// A review's weight in the recency-weighted score halves every RECENCY_HALF_LIFE_DAYS
+const RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.RATING_HALF_LIFE_DAYS) || 180;
+// Weights are counted from here; only their ratios matter, so the score needs no decaying over time
+const RECENCY_EPOCH = Date.UTC(2020, 0, 1);
+
+const BREAKDOWN_KEYS = ['quality', 'punctuality', 'professionalism', 'communication', 'valueForMoney', 'creativity'];
+const STARS = ['1', '2', '3', '4', '5'];
+
+// Attempts at a version-guarded write before rebuilding the artist from scratch instead
+const MAX_UPDATE_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Client reviews of artists count once they're published and revealed
+const isCounted = (review) => review.reviewerType !== 'artist' &&
+  review.status === 'published' &&
+  review.revealed !== false;
+
+const recencyWeight = (date) => 2 ** (((date ? date.getTime() : Date.now()) - RECENCY_EPOCH) / (RECENCY_HALF_LIFE_DAYS * DAY_MS));
+
+// What a review adds to its artist's totals, or null if it doesn't count
+const contributionOf = (review) => {
+  if (!isCounted(review)) return null;
+
+  const rating = review.rating || {};
+  const breakdown = rating.breakdown || {};
+  const experience = review.experience || {};
+
+  return {
+    overall: rating.overall,
+    breakdown: Object.fromEntries(BREAKDOWN_KEYS.filter(key => breakdown[key]).map(key => [key, breakdown[key]])),
+    wouldRecommend: experience.wouldRecommend,
+    wouldHireAgain: experience.wouldHireAgain,
+    weight: recencyWeight(review.createdAt)
+  };
+};
+
+const emptyTotals = () => ({
+  count: 0,
+  sum: 0,
+  weightSum: 0,
+  weightedSum: 0,
+  distribution: Object.fromEntries(STARS.map(star => [star, 0])),
+  breakdown: Object.fromEntries(BREAKDOWN_KEYS.map(key => [key, { count: 0, sum: 0 }])),
+  recommend: { count: 0, yes: 0 },
+  rehire: { count: 0, yes: 0 }
+});
+
+// Add (sign 1) or take away (sign -1) a contribution
+const applyContribution = (totals, contribution, sign) => {
+  if (!contribution) return totals;
+
+  const { overall, breakdown, wouldRecommend, wouldHireAgain, weight } = contribution;
+  const star = String(Math.round(overall));
+
+  totals.count += sign;
+  totals.sum += sign * overall;
+  totals.weightSum += sign * weight;
+  totals.weightedSum += sign * weight * overall;
+  if (totals.distribution[star] !== undefined) totals.distribution[star] += sign;
+
+  Object.entries(breakdown).forEach(([key, value]) => {
+    totals.breakdown[key].count += sign;
+    totals.breakdown[key].sum += sign * value;
+  });
+
+  if (typeof wouldRecommend === 'boolean') {
+    totals.recommend.count += sign;
+    totals.recommend.yes += sign * (wouldRecommend ? 1 : 0);
+  }
+  if (typeof wouldHireAgain === 'boolean') {
+    totals.rehire.count += sign;
+    totals.rehire.yes += sign * (wouldHireAgain ? 1 : 0);
+  }
+
+  // Clear floating point leftovers once the last review is taken away
+  return totals.count > 0 ? totals : emptyTotals();
+};
+
+// The figures shown and sorted on, derived from the running totals
+const summarise = (totals) => {
+  const rate = ({ count, yes }) => (count > 0 ? round(yes / count) : null);
+
+  return {
+    average: totals.count > 0 ? round(totals.sum / totals.count, 1) : 0,
+    count: totals.count,
+    bayesianAverage: totals.count > 0
+      ? round((PRIOR_MEAN * PRIOR_WEIGHT + totals.sum) / (PRIOR_WEIGHT + totals.count))
+      : null,
+    recencyScore: totals.weightSum > 0 ? round(totals.weightedSum / totals.weightSum) : null,
+    breakdown: Object.fromEntries(BREAKDOWN_KEYS.map(key => {
+      const { count, sum } = totals.breakdown[key];
+      return [key, count > 0 ? round(sum / count, 1) : null];
+    })),
+    distribution: { ...totals.distribution },
+    recommendationRate: rate(totals.recommend),
+    rehireRate: rate(totals.rehire)
+  };
+};
+
+// Write an artist's new totals, only if nobody else updated them since they were read
+const saveTotals = async (artistId, previousVersion, totals) => {
+  const User = require('../models/User');
+
+  const result = await User.updateOne(
+    {
+      _id: artistId,
+      'artistProfile.rating.version': previousVersion ? previousVersion : { $in: [0, null] }
+    },
+    {
+      $set: {
+        'artistProfile.rating': {
+          ...summarise(totals),
+          version: (previousVersion || 0) + 1,
+          updatedAt: new Date()
+        },
+        ratingTotals: totals
+      }
+    }
+  );
+
+  return result.matchedCount > 0;
+};
+
+// Recompute an artist's aggregates from all of their reviews
+const rebuildArtistRating = async (artistId) => {
+  const Review = require('../models/Review');
+  const User = require('../models/User');
+
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const artist = await User.findById(artistId).select('artistProfile.rating.version').lean();
+    if (!artist) return null;
+    const version = artist.artistProfile && artist.artistProfile.rating && artist.artistProfile.rating.version;
+
+    const totals = emptyTotals();
+    const cursor = Review.find({ reviewee: artistId, reviewerType: { $ne: 'artist' }, status: 'published' })
+      .select('reviewerType status revealed rating experience createdAt')
+      .lean()
+      .cursor();
+    for await (const review of cursor) {
+      applyContribution(totals, contributionOf(review), 1);
+    }
+
+    if (await saveTotals(artistId, version, totals)) return summarise(totals);
+  }
+
+  throw new Error(`Could not rebuild the rating of artist ${artistId}: it kept changing`);
+};
+
+// Apply the difference between what a review contributed before and what it contributes now
+const applyReviewChange = async (artistId, before, after) => {
+  const User = require('../models/User');
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return null;
+
+  for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+    const artist = await User.findById(artistId).select('artistProfile.rating.version +ratingTotals').lean();
+    if (!artist) return null;
+    const rating = (artist.artistProfile && artist.artistProfile.rating) || {};
+
+    // Artists whose aggregates were never built get a full rebuild, which includes this change
+    if (!artist.ratingTotals) return rebuildArtistRating(artistId);
+
+    const totals = applyContribution(applyContribution(artist.ratingTotals, before, -1), after, 1);
+    if (await saveTotals(artistId, rating.version, totals)) return summarise(totals);
+  }
+
+  return rebuildArtistRating(artistId);
+};
+
+// Bring the artist's aggregates up to date with a review whose status, score or visibility may have
+// changed since it was loaded (Review remembers what it contributed in $locals.ratingContribution)
+const syncReview = async (review) => {
+  if (review.reviewerType === 'artist') return null;
+
+  const before = review.$locals.ratingContribution || null;
+  const after = review.$locals.deleted ? null : contributionOf(review);
+
+  const summary = await applyReviewChange(review.reviewee, before, after);
+  review.$locals.ratingContribution = after;
+  return summary;
+};
+
+// Rebuild every artist's aggregates (npm run ratings:rebuild)
+const rebuildAllRatings = async ({ onProgress = () => {} } = {}) => {
+  const User = require('../models/User');
+
+  const cursor = User.find({ userType: 'artist' }).select('_id').lean().cursor();
+  let rebuilt = 0;
+
+  for await (const artist of cursor) {
+    await rebuildArtistRating(artist._id);
+    rebuilt++;
+    if (rebuilt % 100 === 0) onProgress(rebuilt);
+  }
+
+  return rebuilt;
+};
+
+module.exports = {
+  PRIOR_MEAN,
+  PRIOR_WEIGHT,
+  BREAKDOWN_KEYS,
+  isCounted,
+  contributionOf,
+  emptyTotals,
+  applyContribution,
+  summarise,
+  syncReview,
+  rebuildArtistRating,
+  rebuildAllRatings
+};
@@ -0,0 +1,217 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const cookieParser = require('cookie-parser');
+const { getTokenFromRequest, verifyTokenUser } = require('../middleware/auth');
+
+const WS_PATH = process.env.WS_PATH || '/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+let wss = null;
+
+// Connected sockets per user ID (a user may have several tabs/devices open)
+const clients = new Map();
+
+const addClient = (userId, socket) => {
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(socket);
+};
+
+const removeClient = (userId, socket) => {
+  const sockets = clients.get(userId);
+  if (!sockets) return;
+
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    clients.delete(userId);
+  }
+};
+
+// Check whether a user has at least one open socket
+const isOnline = (userId) => clients.has(userId.toString());
+
+// Push an event to every socket a user has open
+const emitToUser = (userId, type, data) => {
+  const sockets = clients.get(userId.toString());
+  if (!sockets) return 0;
+
+  const payload = JSON.stringify({ type, data });
+  let sent = 0;
+
+  sockets.forEach(socket => {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(payload);
+      sent++;
+    }
+  });
+
+  return sent;
+};
+
+// Push a newly saved message to both participants
+const emitNewMessage = (message) => {
+  emitToUser(message.recipient, 'message:new', message);
+  emitToUser(message.sender, 'message:new', message);
+};
+
+// Tell the other participant that the reader has caught up with the conversation
+const emitReadReceipt = (readerId, otherUserId, readAt = new Date()) => {
+  emitToUser(otherUserId, 'message:read', {
+    reader: readerId,
+    conversationWith: readerId,
+    readAt
+  });
+};
+
+// Mark a conversation as read and notify the other participant
+const markConversationRead = async (readerId, otherUserId) => {
+  const Message = require('../models/Message');
+  const Conversation = require('../models/Conversation');
+
+  const readAt = new Date();
+  await Message.markAsRead([readerId, otherUserId], readerId);
+  await Conversation.markAsRead(Conversation.buildKey([readerId, otherUserId]), readerId);
+
+  emitReadReceipt(readerId, otherUserId, readAt);
+};
+
+// Authenticate the upgrade request with the same token rules as protect
+const authenticate = async (req) => {
+  await new Promise(resolve => cookieParser()(req, {}, resolve));
+
+  const url = new URL(req.url, 'http://localhost');
+  const token = getTokenFromRequest(req) || url.searchParams.get('token');
+
+  if (!token) return null;
+
+  try {
+    const { user } = await verifyTokenUser(token);
+    return user || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendError = (socket, message) => {
+  socket.send(JSON.stringify({ type: 'error', data: { message } }));
+};
+
+// Handle an event sent by a connected client
+const handleClientEvent = async (socket, user, raw) => {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch (error) {
+    return sendError(socket, 'Invalid message format');
+  }
+
+  const userId = user._id.toString();
+  const data = event.data || {};
+
+  switch (event.type) {
+    case 'typing': {
+      if (!data.recipient) return sendError(socket, 'Recipient is required');
+
+      // Only forward typing indicators between users who already share a conversation
+      const Conversation = require('../models/Conversation');
+      const exists = await Conversation.exists({
+        conversationKey: Conversation.buildKey([userId, data.recipient])
+      });
+      if (!exists) return sendError(socket, 'Conversation not found');
+
+      emitToUser(data.recipient, 'typing', {
+        from: userId,
+        isTyping: data.isTyping !== false
+      });
+      break;
+    }
+
+    case 'read': {
+      if (!data.conversationWith) return sendError(socket, 'conversationWith is required');
+      await markConversationRead(userId, data.conversationWith);
+      break;
+    }
+
+    case 'ping':
+      socket.send(JSON.stringify({ type: 'pong', data: { timestamp: Date.now() } }));
+      break;
+
+    default:
+      sendError(socket, `Unknown event type '${event.type}'`);
+  }
+};
+
+// Attach the WebSocket server to an HTTP server
+const attach = (server) => {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      return socket.destroy();
+    }
+
+    try {
+      const user = await authenticate(req);
+
+      if (!user) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return socket.destroy();
+      }
+
+      wss.handleUpgrade(req, socket, head, ws => {
+        wss.emit('connection', ws, req, user);
+      });
+    } catch (error) {
+      console.error('WebSocket upgrade error:', error);
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', (socket, req, user) => {
+    const userId = user._id.toString();
+
+    socket.isAlive = true;
+    addClient(userId, socket);
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', raw => {
+      handleClientEvent(socket, user, raw.toString()).catch(error => {
+        console.error('WebSocket event error:', error);
+        sendError(socket, 'Server error');
+      });
+    });
+
+    socket.on('close', () => removeClient(userId, socket));
+
+    socket.send(JSON.stringify({ type: 'connected', data: { userId } }));
+  });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  attach,
+  isOnline,
+  emitToUser,
+  emitNewMessage,
+  emitReadReceipt,
+  markConversationRead
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+
+// Suspicion points each check adds; a review reaching HOLD_THRESHOLD is held in `flagged` for moderation
+const POINTS = {
+  noHistory: 30,
+  duplicateText: 50,
+  burst: 25,
+  sharedWithReviewee: 50,
+  sharedWithReviewer: 25,
+  sharedDeviceWithReviewer: 40,
+  profanity: 50
+};
+
+const HOLD_THRESHOLD = parseInt(process.env.REVIEW_HOLD_THRESHOLD) || 50;
+
+// More than BURST_LIMIT reviews for one person within BURST_WINDOW_HOURS is a burst
+const BURST_WINDOW_HOURS = 24;
+const BURST_LIMIT = 5;
+
+// Shorter texts are too generic ("Great work, thank you!") to call duplicates
+const MIN_DUPLICATE_WORDS = 6;
+// Share of three-word phrases two texts have in common to count as near-duplicates
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+// Earlier reviews compared for near-duplicates (the reviewer's own and those of the reviewee)
+const DUPLICATE_CANDIDATE_LIMIT = 200;
+
+// Whole words only, with their inflections spelled out, so "prick" doesn't catch "prickly"
+const PROFANITY = [
+  'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking', 'motherfucker', 'motherfuckers', 'motherfucking',
+  'shit', 'shits', 'shitty', 'shitting', 'bullshit',
+  'bitch', 'bitches', 'bitchy', 'bastard', 'bastards', 'asshole', 'assholes', 'arsehole', 'arseholes',
+  'cunt', 'cunts', 'dickhead', 'dickheads', 'whore', 'whores', 'slut', 'sluts',
+  'wanker', 'wankers', 'twat', 'twats', 'bollocks', 'prick', 'pricks'
+];
+const PROFANITY_PATTERN = new RegExp(`\\b(?:${PROFANITY.join('|')})\\b`, 'gi');
+
+const HOURS_MS = 60 * 60 * 1000;
+
+const words = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Hash of a review's wording, ignoring case, punctuation and spacing
+const textFingerprint = (text) => {
+  const normalized = words(text).join(' ');
+  return normalized ? crypto.createHash('sha1').update(normalized).digest('hex') : undefined;
+};
+
+const shingles = (list) => new Set(list.slice(0, -2).map((word, i) => `${word} ${list[i + 1]} ${list[i + 2]}`));
+
+// Jaccard similarity of the texts' three-word phrases
+const textSimilarity = (a, b) => {
+  const first = shingles(words(a));
+  const second = shingles(words(b));
+  if (!first.size || !second.size) return 0;
+
+  const shared = [...first].filter(phrase => second.has(phrase)).length;
+  return shared / (first.size + second.size - shared);
+};
+
+const signal = (check, type, reason, points = POINTS[check]) => ({ check, type, points, reason });
+
+// The reviewer and reviewee never messaged each other and nothing was paid for the job
+const checkHistory = async (review) => {
+  const Message = require('../models/Message');
+  const Payment = require('../models/Payment');
+
+  const [messaged, paid] = await Promise.all([
+    Message.exists({
+      $or: [
+        { sender: review.reviewer, recipient: review.reviewee },
+        { sender: review.reviewee, recipient: review.reviewer }
+      ]
+    }),
+    Payment.exists({ job: review.job, status: 'succeeded' })
+  ]);
+
+  if (messaged || paid) return null;
+  return signal('noHistory', 'fake', 'No messages between reviewer and reviewee and no payments for the job');
+};
+
+// Same or nearly the same wording as another review
+const checkDuplicateText = async (review) => {
+  const Review = require('../models/Review');
+
+  if (words(review.comment).length < MIN_DUPLICATE_WORDS) return null;
+
+  const candidates = await Review.find({
+    _id: { $ne: review._id },
+    $or: [
+      { 'metadata.textFingerprint': review.metadata.textFingerprint },
+      { reviewer: review.reviewer },
+      { reviewee: review.reviewee }
+    ]
+  })
+    .select('comment metadata.textFingerprint')
+    .sort({ createdAt: -1 })
+    .limit(DUPLICATE_CANDIDATE_LIMIT);
+
+  const match = candidates.find(other => other.metadata.textFingerprint === review.metadata.textFingerprint) ||
+    candidates.find(other => textSimilarity(review.comment, other.comment) >= NEAR_DUPLICATE_SIMILARITY);
+  if (!match) return null;
+
+  return signal('duplicateText', 'spam', `Text matches review ${match._id}`);
+};
+
+// An unusual number of reviews for the reviewee in a short time
+const checkBurst = async (review) => {
+  const Review = require('../models/Review');
+
+  const since = new Date((review.createdAt || new Date()).getTime() - BURST_WINDOW_HOURS * HOURS_MS);
+  const recent = await Review.countDocuments({
+    _id: { $ne: review._id },
+    reviewee: review.reviewee,
+    createdAt: { $gte: since }
+  });
+
+  if (recent < BURST_LIMIT) return null;
+  return signal('burst', 'fake', `${recent + 1} reviews for the same person within ${BURST_WINDOW_HOURS} hours`);
+};
+
+// Written from the reviewee's IP address, or from the same IP (and browser) as another reviewer of them
+const checkSharedDevice = async (review) => {
+  const Review = require('../models/Review');
+  const Session = require('../models/Session');
+
+  const { ipAddress, userAgent } = review.metadata;
+  if (!ipAddress) return null;
+
+  const revieweeSession = await Session.exists({
+    user: review.reviewee,
+    $or: [{ ip: ipAddress }, { lastUsedIp: ipAddress }]
+  });
+  if (revieweeSession) {
+    return signal('sharedWithReviewee', 'fake', 'Written from an IP address the reviewee has signed in from');
+  }
+
+  const other = await Review.findOne({
+    _id: { $ne: review._id },
+    reviewee: review.reviewee,
+    reviewer: { $ne: review.reviewer },
+    'metadata.ipAddress': ipAddress
+  }).select('metadata.userAgent');
+  if (!other) return null;
+
+  return userAgent && other.metadata.userAgent === userAgent
+    ? signal('sharedDeviceWithReviewer', 'fake', `Same IP address and browser as review ${other._id} of the same person`)
+    : signal('sharedWithReviewer', 'fake', `Same IP address as review ${other._id} of the same person`);
+};
+
+const checkProfanity = (review) => {
+  const found = [review.title, review.comment]
+    .flatMap(text => (text || '').match(PROFANITY_PATTERN) || [])
+    .map(word => word.toLowerCase());
+  if (!found.length) return null;
+
+  return signal('profanity', 'inappropriate', `Contains profanity (${[...new Set(found)].join(', ')})`);
+};
+
+// Run every check against a review and total up the points
+const assessReview = async (review) => {
+  const results = await Promise.all([
+    checkHistory(review),
+    checkDuplicateText(review),
+    checkBurst(review),
+    checkSharedDevice(review),
+    checkProfanity(review)
+  ]);
+
+  const signals = results.filter(Boolean);
+  const score = signals.reduce((total, { points }) => total + points, 0);
+
+  return { score, signals, hold: score >= HOLD_THRESHOLD };
+};
+
+// Screen a review before it's saved: record the result and, if it looks suspicious,
+// hold it in `flagged` with a pending flag for each reason
+const screenReview = async (review) => {
+  review.metadata.textFingerprint = textFingerprint(review.comment);
+
+  const { score, signals, hold } = await assessReview(review);
+
+  review.moderation.authenticity = {
+    score,
+    signals: signals.map(({ check, points, reason }) => ({ check, points, reason })),
+    checkedAt: new Date()
+  };
+
+  if (!hold) return false;
+
+  // An edit may re-raise reasons already waiting for a moderator
+  const pending = new Set(review.moderation.flags
+    .filter(flag => !flag.reportedBy && flag.status === 'pending')
+    .map(flag => flag.reason));
+
+  signals
+    .filter(({ reason }) => !pending.has(reason))
+    .forEach(({ type, reason }) => review.moderation.flags.push({ type, reason, reportedAt: new Date() }));
+
+  if (['submitted', 'published'].includes(review.status)) {
+    review.status = 'flagged';
+  }
+
+  return true;
+};
+
+module.exports = {
+  POINTS,
+  HOLD_THRESHOLD,
+  textFingerprint,
+  textSimilarity,
+  assessReview,
+  screenReview
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const os = require('os');
+const ScheduledTask = require('../models/ScheduledTask');
+
+const DEFAULT_TICK_MS = 30 * 1000;
+const DEFAULT_LOCK_MS = 5 * 60 * 1000;
+
+// Identifies this process in task locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// name -> { name, description, intervalMs, lockMs, run }
+const tasks = new Map();
+
+let timer = null;
+let ticking = false;
+
+const schedulerError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Add a task; run() receives { now } and returns a summary stored as lastResult
+const register = ({ name, description = '', intervalMs, lockMs = DEFAULT_LOCK_MS, run }) => {
+  tasks.set(name, { name, description, intervalMs, lockMs, run });
+};
+
+// Take the task's lock if it is due (or forced) and nobody else holds it; returns the task doc or null
+const acquireLock = async (task, { force = false } = {}) => {
+  const now = new Date();
+
+  // Make sure the task has a document to lock
+  try {
+    await ScheduledTask.updateOne(
+      { name: task.name },
+      { $setOnInsert: { nextRunAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another instance created it at the same moment
+    if (error.code !== 11000) throw error;
+  }
+
+  const query = {
+    name: task.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  if (!force) query.nextRunAt = { $lte: now };
+
+  return ScheduledTask.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + task.lockMs),
+        lastRunAt: now,
+        lastStatus: 'running'
+      }
+    },
+    { new: true }
+  );
+};
+
+// Run one task under its lock and record the outcome
+// Returns the run summary, or null when the task wasn't due or another instance holds the lock
+const runTask = async (name, { force = false } = {}) => {
+  const task = tasks.get(name);
+  if (!task) throw schedulerError(`Unknown task '${name}'`, 404);
+
+  const locked = await acquireLock(task, { force });
+  if (!locked) return null;
+
+  const startedAt = new Date();
+  const update = {
+    nextRunAt: new Date(startedAt.getTime() + task.intervalMs),
+    lockedUntil: null
+  };
+  let result = null;
+
+  try {
+    result = await task.run({ now: startedAt });
+    Object.assign(update, { lastStatus: 'succeeded', lastResult: result, lastError: null });
+  } catch (error) {
+    console.error(`Scheduled task '${name}' failed:`, error);
+    Object.assign(update, { lastStatus: 'failed', lastError: error.message });
+  }
+
+  update.lastFinishedAt = new Date();
+  update.lastDurationMs = update.lastFinishedAt - startedAt;
+
+  // Only release a lock we still own
+  await ScheduledTask.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    {
+      $set: update,
+      $inc: { runCount: 1, failureCount: update.lastStatus === 'failed' ? 1 : 0 }
+    }
+  );
+
+  return { name, status: update.lastStatus, result, error: update.lastError || undefined };
+};
+
+// Run every due task once
+const tick = async () => {
+  const results = [];
+  for (const name of tasks.keys()) {
+    try {
+      const outcome = await runTask(name);
+      if (outcome) results.push(outcome);
+    } catch (error) {
+      console.error(`Scheduler error running '${name}':`, error);
+    }
+  }
+  return results;
+};
+
+// Check for due tasks on an interval
+const start = (tickMs = parseInt(process.env.SCHEDULER_TICK_MS) || DEFAULT_TICK_MS) => {
+  if (timer) return;
+
+  timer = setInterval(async () => {
+    // Skip a tick if the previous one is still running
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      await tick();
+    } finally {
+      ticking = false;
+    }
+  }, tickMs);
+  timer.unref();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Registered tasks with their stored state, for the admin status endpoint
+const getStatus = async () => {
+  const docs = await ScheduledTask.find({ name: { $in: [...tasks.keys()] } });
+  const byName = new Map(docs.map(doc => [doc.name, doc]));
+
+  return [...tasks.values()].map(task => {
+    const doc = byName.get(task.name);
+    return {
+      name: task.name,
+      description: task.description,
+      intervalMs: task.intervalMs,
+      isLocked: doc ? doc.isLocked : false,
+      lockedBy: doc && doc.isLocked ? doc.lockedBy : null,
+      nextRunAt: doc ? doc.nextRunAt : null,
+      lastRunAt: doc ? doc.lastRunAt : null,
+      lastFinishedAt: doc ? doc.lastFinishedAt : null,
+      lastStatus: doc ? doc.lastStatus : null,
+      lastError: doc ? doc.lastError : null,
+      lastResult: doc ? doc.lastResult : null,
+      lastDurationMs: doc ? doc.lastDurationMs : null,
+      runCount: doc ? doc.runCount : 0,
+      failureCount: doc ? doc.failureCount : 0
+    };
+  });
+};
+
+module.exports = {
+  INSTANCE_ID,
+  register,
+  runTask,
+  tick,
+  start,
+  stop,
+  getStatus
+};
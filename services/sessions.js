@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Client IP (trust proxy is enabled, so req.ip honours X-Forwarded-For)
+const getRequestIp = (req) => req.ip || (req.connection && req.connection.remoteAddress);
+
+// Short human-readable device label from a user agent ("Chrome on Windows")
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Version\/.*Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+  const system = (systems.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Start a session at sign-in; returns the session and its first refresh token
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const userAgent = (req.get('user-agent') || '').substring(0, 300);
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: getRequestIp(req),
+    lastUsedIp: getRequestIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS)
+  });
+
+  return { session, refreshToken: buildRefreshToken(session, secret) };
+};
+
+// Exchange a refresh token for a new one (rotation); replaying an old token revokes the session
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw sessionError('Invalid refresh token');
+
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const now = new Date();
+
+  // Atomic swap guarded on the current hash so two refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: presentedHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: now,
+        lastUsedIp: getRequestIp(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A token that was already rotated away is being reused: assume it was stolen
+    await Session.updateOne(
+      { _id: parsed.sessionId, previousTokenHash: presentedHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    throw sessionError('Invalid or expired refresh token');
+  }
+
+  return { session, refreshToken: buildRefreshToken(session, secret) };
+};
+
+// Check an access token's session is still live
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  return !!(await Session.exists({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+// Revoke one of a user's sessions; returns false if it wasn't found or already revoked
+const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke the session a refresh token belongs to (used at logout once the access token has expired)
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await Session.updateOne(
+    { _id: parsed.sessionId, tokenHash: hashSecret(parsed.secret), revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every session for a user, optionally keeping one (e.g. the current device)
+const revokeAllSessions = async (userId, reason = 'signed_out_everywhere', exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  getRequestIp,
+  describeDevice,
+  parseRefreshToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions
+};
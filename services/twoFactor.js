@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Mehndi Booking';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRE = '5m';
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+// Fields holding 2FA secrets are excluded from queries by default
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Secrets are stored encrypted (AES-256-GCM) so a database leak doesn't expose them
+const getKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "a1b2c-3d4e5"; only their hashes are stored
+const normaliseRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hash(normaliseRecoveryCode(code)) }))
+  };
+};
+
+const findWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Start enrolment: create a pending secret and return it with an otpauth URI and QR code
+const beginSetup = async (user) => {
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.buildOtpauthUri(secret, user.email, ISSUER);
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Confirm enrolment with a code from the app; returns the one-time recovery codes or null
+const enable = async (userId, code) => {
+  const user = await findWithSecrets(userId);
+  if (!user || !user.twoFactor || !user.twoFactor.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = totp.verifyCode(secret, code);
+  if (step === null) return null;
+
+  const { codes, stored } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': stored
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+
+  return codes;
+};
+
+// Check a TOTP code or an unused recovery code for a user with 2FA enabled
+// Returns 'totp', 'recovery_code' or null; used codes can't be replayed
+const verifyUserCode = async (userId, { code, recoveryCode }) => {
+  const user = await findWithSecrets(userId);
+  if (!user || !user.twoFactor || !user.twoFactor.enabled) return null;
+
+  if (code) {
+    const step = totp.verifyCode(decryptSecret(user.twoFactor.secret), code, {
+      lastUsedStep: user.twoFactor.lastUsedStep ?? null
+    });
+    if (step === null) return null;
+
+    // Guarded on the previous step so a concurrent request can't reuse the same code
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': user.twoFactor.lastUsedStep },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hash(normaliseRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: codeHash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+// Replace all recovery codes; returns the new codes
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, stored } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': stored } });
+  return codes;
+};
+
+const getRecoveryCodesRemaining = async (userId) => {
+  const user = await findWithSecrets(userId);
+  return ((user && user.twoFactor && user.twoFactor.recoveryCodes) || []).filter(c => !c.usedAt).length;
+};
+
+// Turn 2FA off and clear all secrets
+const disable = (userId) => User.updateOne(
+  { _id: userId },
+  {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': 1,
+      'twoFactor.pendingSecret': 1,
+      'twoFactor.enabledAt': 1,
+      'twoFactor.lastUsedStep': 1,
+      'twoFactor.recoveryCodes': 1,
+      'twoFactor.resetToken': 1,
+      'twoFactor.resetExpires': 1
+    }
+  }
+);
+
+// Short-lived token proving the password step passed (not usable as an access token)
+const createChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRE }
+);
+
+// Returns the user id from a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Self-service reset for a lost device: emailed token, valid for an hour
+const createResetToken = async (userId) => {
+  const token = crypto.randomBytes(20).toString('hex');
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.resetToken': hash(token),
+        'twoFactor.resetExpires': new Date(Date.now() + 60 * 60 * 1000)
+      }
+    }
+  );
+
+  return token;
+};
+
+const findByResetToken = (token) => User.findOne({
+  'twoFactor.resetToken': hash(String(token || '')),
+  'twoFactor.resetExpires': { $gt: new Date() }
+});
+
+// Let the user know 2FA was switched off (by them, a reset link or an admin)
+const notifyDisabled = async (userId, message) => {
+  const Notification = require('../models/Notification');
+
+  try {
+    await Notification.create({
+      recipient: userId,
+      type: 'system_announcement',
+      title: 'Two-factor authentication turned off',
+      message,
+      actionUrl: '/settings/security',
+      deliveryMethods: { inApp: true, email: true },
+      priority: 'high'
+    });
+  } catch (error) {
+    console.error('Error sending 2FA notification:', error);
+  }
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  beginSetup,
+  enable,
+  verifyUserCode,
+  regenerateRecoveryCodes,
+  getRecoveryCodesRemaining,
+  disable,
+  createChallengeToken,
+  verifyChallengeToken,
+  createResetToken,
+  findByResetToken,
+  notifyDisabled
+};
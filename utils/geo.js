@@ -0,0 +1,108 @@
+const { lookupPostcode } = require('./postcodes');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Check a { latitude, longitude } pair is usable
+const hasCoordinates = (coordinates) => !!(coordinates &&
+  typeof coordinates.latitude === 'number' &&
+  typeof coordinates.longitude === 'number');
+
+// Great-circle distance between two { latitude, longitude } points in km
+const distanceKm = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// GeoJSON point for a { latitude, longitude } pair (GeoJSON order is [lng, lat])
+const toGeoPoint = (coordinates) => ({
+  type: 'Point',
+  coordinates: [coordinates.longitude, coordinates.latitude]
+});
+
+// Fill in coordinates (from the postcode when needed) and the GeoJSON point on a location
+const applyGeoLocation = (location, { refreshFromPostcode = false } = {}) => {
+  if (!location) return location;
+
+  if (refreshFromPostcode || !hasCoordinates(location.coordinates)) {
+    const found = location.postalCode ? lookupPostcode(location.postalCode) : null;
+    if (found) {
+      location.coordinates = { latitude: found.latitude, longitude: found.longitude };
+    }
+  }
+
+  location.geo = hasCoordinates(location.coordinates) ? toGeoPoint(location.coordinates) : undefined;
+  return location;
+};
+
+// Parse a `near` query value: "lat,lng" or a UK postcode
+const parseNear = (near) => {
+  if (!near) return null;
+
+  const match = String(near).match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (match) {
+    const latitude = parseFloat(match[1]);
+    const longitude = parseFloat(match[2]);
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude };
+  }
+
+  const found = lookupPostcode(near);
+  return found ? { latitude: found.latitude, longitude: found.longitude } : null;
+};
+
+// Run a $geoNear search on location.geo; returns a page of { _id, distanceKm } and the total
+const geoNearSearch = async (Model, { point, radiusKm, query = {}, skip = 0, limit = 10 }) => {
+  const [result] = await Model.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(point),
+        key: 'location.geo',
+        distanceField: 'distance',
+        maxDistance: radiusKm * 1000,
+        query,
+        spherical: true
+      }
+    },
+    {
+      $facet: {
+        results: [{ $skip: skip }, { $limit: limit }, { $project: { distance: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    results: result.results.map(r => ({
+      _id: r._id,
+      distanceKm: Math.round(r.distance / 100) / 10
+    })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+// Put documents back in geoNear order and add distanceKm to each
+const withDistances = (docs, results) => {
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  return results
+    .filter(r => byId.has(r._id.toString()))
+    .map(r => ({ ...byId.get(r._id.toString()).toJSON(), distanceKm: r.distanceKm }));
+};
+
+module.exports = {
+  hasCoordinates,
+  distanceKm,
+  toGeoPoint,
+  applyGeoLocation,
+  parseNear,
+  geoNearSearch,
+  withDistances
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled datasets: the centroid of every UK postcode district ("SW1A", "IV27"; built with
+// npm run postcodes:districts) and, as a last resort, of every postcode area ("SW", "IV").
+// A finer CSV (postcode or outcode, latitude, longitude) can be supplied via POSTCODE_DATASET_PATH
+// and takes precedence when it contains the postcode or its outcode.
+const DISTRICT_DATASET_PATH = path.join(__dirname, '..', 'data', 'uk-postcode-districts.csv');
+const AREA_DATASET_PATH = path.join(__dirname, '..', 'data', 'uk-postcode-areas.csv');
+
+let areas = null;
+let districts = null;
+let detailed = null;
+
+// Parse a "key,latitude,longitude" CSV (header row optional) into a Map
+const loadCsv = (filePath) => {
+  const entries = new Map();
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+
+  lines.forEach(line => {
+    const [key, latitude, longitude] = line.split(',').map(value => value && value.trim());
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (!key || Number.isNaN(lat) || Number.isNaN(lng)) return;
+    entries.set(key.toUpperCase().replace(/\s+/g, ''), { latitude: lat, longitude: lng });
+  });
+
+  return entries;
+};
+
+const getAreas = () => {
+  if (!areas) areas = loadCsv(AREA_DATASET_PATH);
+  return areas;
+};
+
+const getDistricts = () => {
+  if (!districts) {
+    districts = fs.existsSync(DISTRICT_DATASET_PATH) ? loadCsv(DISTRICT_DATASET_PATH) : new Map();
+    if (!districts.size) console.warn(`No postcode districts in ${DISTRICT_DATASET_PATH}; using area centroids`);
+  }
+  return districts;
+};
+
+const getDetailed = () => {
+  if (detailed === null) {
+    const datasetPath = process.env.POSTCODE_DATASET_PATH;
+    detailed = datasetPath && fs.existsSync(datasetPath) ? loadCsv(datasetPath) : new Map();
+  }
+  return detailed;
+};
+
+// Uppercase and strip spaces ("sw1a 1aa" -> "SW1A1AA")
+const normalisePostcode = (postcode = '') => String(postcode).toUpperCase().replace(/\s+/g, '');
+
+// Full UK postcode or a bare outcode ("SW1A 1AA", "SW1A", "M1")
+const POSTCODE_PATTERN = /^([A-Z]{1,2}[0-9][A-Z0-9]?)([0-9][A-Z]{2})?$/;
+
+const isPostcode = (value) => POSTCODE_PATTERN.test(normalisePostcode(value));
+
+// Outward code of a postcode ("SW1A 1AA" -> "SW1A")
+const getOutcode = (postcode) => {
+  const match = normalisePostcode(postcode).match(POSTCODE_PATTERN);
+  return match ? match[1] : null;
+};
+
+// Postcode area ("SW1A 1AA" -> "SW")
+const getArea = (postcode) => {
+  const outcode = getOutcode(postcode);
+  return outcode ? outcode.match(/^[A-Z]+/)[0] : null;
+};
+
+// Look up coordinates for a postcode, most precise match first
+// Returns { latitude, longitude, precision } or null
+const lookupPostcode = (postcode) => {
+  const normalised = normalisePostcode(postcode);
+  const outcode = getOutcode(normalised);
+  if (!outcode) return null;
+
+  const fine = getDetailed();
+  if (fine.has(normalised)) return { ...fine.get(normalised), precision: 'postcode' };
+  if (fine.has(outcode)) return { ...fine.get(outcode), precision: 'outcode' };
+  if (getDistricts().has(outcode)) return { ...getDistricts().get(outcode), precision: 'outcode' };
+
+  const area = getArea(normalised);
+  if (getAreas().has(area)) return { ...getAreas().get(area), precision: 'area' };
+
+  return null;
+};
+
+module.exports = {
+  DISTRICT_DATASET_PATH,
+  normalisePostcode,
+  isPostcode,
+  getOutcode,
+  getArea,
+  lookupPostcode
+};
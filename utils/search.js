@@ -0,0 +1,310 @@
+// Searchable fields and their relevance weights (also used for the Mongo text indexes)
+const SEARCH_WEIGHTS = {
+  job: {
+    title: 10,
+    description: 4,
+    'requirements.specialInstructions': 2
+  },
+  artist: {
+    'artistProfile.businessName': 10,
+    bio: 4,
+    'artistProfile.portfolio.description': 2
+  }
+};
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 8;
+// Shorter terms must match exactly; longer ones may have one typo (two from 8 letters)
+const MIN_FUZZY_TERM_LENGTH = 4;
+// Longer terms must match exactly too: their typo patterns get too big to search with
+const MAX_FUZZY_TERM_LENGTH = 15;
+// Total regex length the typo patterns of a search may use; terms past it must match exactly
+const MAX_FUZZY_PATTERNS_LENGTH = 16 * 1024;
+// Shortest stem that may match longer words ("paint" -> "painted")
+const MIN_PREFIX_LENGTH = 4;
+// Documents scanned when the text index finds nothing and we fall back to typo matching
+const FUZZY_CANDIDATE_LIMIT = 200;
+// Text matches considered when a search is combined with a distance search
+const MAX_NEAR_MATCHES = 500;
+// Characters of context either side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'i', 'in', 'is', 'it',
+  'me', 'my', 'of', 'on', 'or', 'the', 'to', 'we', 'with', 'you'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Index spec for a text index over a set of weighted fields
+const textIndexFields = (weights) =>
+  Object.fromEntries(Object.keys(weights).map(field => [field, 'text']));
+
+// Parse a `q` query value into the text to search and its lower-cased terms; null if there's nothing to search
+const parseSearchQuery = (q) => {
+  if (typeof q !== 'string') return null;
+
+  const words = q.slice(0, MAX_QUERY_LENGTH).toLowerCase().match(WORD_PATTERN) || [];
+  const terms = [...new Set(words.filter(word => word.length > 1 && !STOP_WORDS.has(word)))].slice(0, MAX_TERMS);
+  if (!terms.length) return null;
+
+  return { text: terms.join(' '), terms };
+};
+
+// Rough English stem so "brides" or "painting" still highlight "bride"/"paint"
+const stem = (term) => {
+  const match = term.match(/^(.{3,}?)(?:ings?|ed|es|s)$/);
+  return match ? match[1] : term;
+};
+
+const maxEdits = (term) => {
+  if (term.length < MIN_FUZZY_TERM_LENGTH || term.length > MAX_FUZZY_TERM_LENGTH) return 0;
+  return term.length >= 8 ? 2 : 1;
+};
+
+// Edit distance, giving up once it's over `max`
+const levenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// How well a word matches a search term: 1 exact, 0.8 same stem, 0.5 a typo away, 0 no match
+const matchQuality = (word, term, { fuzzy = false } = {}) => {
+  if (word === term) return 1;
+  const termStem = stem(term);
+  const wordStem = stem(word);
+  if (termStem.length >= MIN_PREFIX_LENGTH && (word.startsWith(termStem) || (wordStem !== word && term.startsWith(wordStem)))) {
+    return 0.8;
+  }
+  if (fuzzy && maxEdits(term) && levenshtein(word, term, maxEdits(term)) <= maxEdits(term)) return 0.5;
+  return 0;
+};
+
+// Regex source matching a term with up to maxEdits(term) typos (substitutions, insertions or deletions)
+const fuzzyPattern = (term) => {
+  const chars = [...term].map(escapeRegex);
+  const edits = maxEdits(term);
+  if (!edits) return chars.join('');
+
+  // An edited character may be missing or have up to `edits` others in or before its place
+  const withEdits = (edited) => chars.map((char, i) => (edited[i] ? `${edited[i]}${char}?` : char)).join('');
+
+  const variants = new Set();
+  for (let i = 0; i < chars.length; i++) {
+    if (edits === 1) {
+      variants.add(withEdits({ [i]: '.?' }));
+      continue;
+    }
+    variants.add(withEdits({ [i]: '.{0,2}' }));
+    for (let j = i + 1; j < chars.length; j++) {
+      variants.add(withEdits({ [i]: '.?', [j]: '.?' }));
+    }
+  }
+
+  return [...variants].join('|');
+};
+
+// Values at a dotted path, flattening arrays (e.g. every portfolio item's description)
+const valuesAt = (doc, path) => {
+  let values = [doc];
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap(value => (value === null || value === undefined ? [] : [value[key]]))
+      .flatMap(value => (Array.isArray(value) ? value : [value]));
+  }
+  return values.filter(value => typeof value === 'string' && value.trim());
+};
+
+// Relevance of a document to the terms when typo matching, using the field weights
+const fuzzyScore = (doc, weights, terms) => {
+  let score = 0;
+
+  for (const [field, weight] of Object.entries(weights)) {
+    const words = valuesAt(doc, field).flatMap(value => value.toLowerCase().match(WORD_PATTERN) || []);
+    for (const term of terms) {
+      const best = words.reduce((top, word) => Math.max(top, matchQuality(word, term, { fuzzy: true })), 0);
+      score += best * weight;
+    }
+  }
+
+  return score;
+};
+
+// Text around the first matching word with matches wrapped in <mark>; null if nothing matches
+const buildSnippet = (text, terms, { fuzzy = false } = {}) => {
+  const hits = [...text.matchAll(WORD_PATTERN)]
+    .filter(word => terms.some(term => matchQuality(word[0].toLowerCase(), term, { fuzzy }) > 0));
+  if (!hits.length) return null;
+
+  const first = hits[0].index;
+  let start = Math.max(0, first - SNIPPET_RADIUS);
+  let end = Math.min(text.length, first + hits[0][0].length + SNIPPET_RADIUS);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first) end = space;
+  }
+
+  let snippet = '';
+  let position = start;
+  for (const hit of hits) {
+    const hitEnd = hit.index + hit[0].length;
+    if (hit.index < start || hitEnd > end) continue;
+
+    snippet += `${escapeHtml(text.slice(position, hit.index))}<mark>${escapeHtml(hit[0])}</mark>`;
+    position = hitEnd;
+  }
+  snippet += escapeHtml(text.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+};
+
+// One snippet per matching field, highest weighted field first
+const buildHighlights = (doc, weights, terms, { fuzzy = false } = {}) => {
+  const highlights = [];
+
+  for (const field of Object.keys(weights)) {
+    for (const value of valuesAt(doc, field)) {
+      const snippet = buildSnippet(value, terms, { fuzzy });
+      if (snippet) {
+        highlights.push({ field, snippet });
+        break;
+      }
+    }
+  }
+
+  return highlights;
+};
+
+// Search with the model's text index, falling back to typo matching when nothing is found
+// Returns a page of { _id, relevance }, the total and the mode used ('text' or 'fuzzy')
+const textSearch = async (Model, { search, weights, query = {}, sort = null, skip = 0, limit = 10 }) => {
+  const [result] = await Model.aggregate([
+    { $match: { ...query, $text: { $search: search.text } } },
+    { $addFields: { relevance: { $meta: 'textScore' } } },
+    { $sort: sort ? { ...sort, relevance: -1 } : { relevance: -1 } },
+    {
+      $facet: {
+        results: [{ $skip: skip }, { $limit: limit }, { $project: { relevance: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  if (total > 0 || !search.terms.some(term => maxEdits(term) > 0)) {
+    return {
+      mode: 'text',
+      results: result.results.map(r => ({ _id: r._id, relevance: Math.round(r.relevance * 100) / 100 })),
+      total
+    };
+  }
+
+  // Nothing matched the index (which only knows whole words), so look for near-misses instead
+  let budget = MAX_FUZZY_PATTERNS_LENGTH;
+  const patterns = search.terms.map(term => {
+    const pattern = fuzzyPattern(term);
+    if (pattern.length > budget) return escapeRegex(term);
+    budget -= pattern.length;
+    return pattern;
+  });
+  const fuzzyFilter = {
+    $or: Object.keys(weights).flatMap(field =>
+      patterns.map(pattern => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    )
+  };
+
+  let candidates;
+  try {
+    candidates = await Model.find({ $and: [query, fuzzyFilter] })
+      .select(Object.keys(weights).join(' '))
+      .limit(FUZZY_CANDIDATE_LIMIT)
+      .lean();
+  } catch (error) {
+    // e.g. a pattern over MongoDB's regex length limit
+    if (error.name !== 'MongoServerError' || !/regular expression|regex/i.test(error.message)) throw error;
+    const searchError = new Error('Search could not be run, try fewer or shorter words');
+    searchError.statusCode = 400;
+    throw searchError;
+  }
+
+  const scored = candidates
+    .map(doc => ({ _id: doc._id, relevance: Math.round(fuzzyScore(doc, weights, search.terms) * 100) / 100 }))
+    .filter(r => r.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance);
+
+  return {
+    mode: 'fuzzy',
+    results: scored.slice(skip, skip + limit),
+    total: scored.length
+  };
+};
+
+// Add relevance and highlights to each document, keeping their order
+const withHighlights = (docs, results, { search, weights, mode }) => {
+  const relevance = new Map(results.map(r => [r._id.toString(), r.relevance]));
+
+  return docs.map(doc => {
+    const json = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+    return {
+      ...json,
+      relevance: relevance.has(json._id.toString()) ? relevance.get(json._id.toString()) : null,
+      highlights: buildHighlights(json, weights, search.terms, { fuzzy: mode === 'fuzzy' })
+    };
+  });
+};
+
+// Put documents back in search order and add relevance and highlights to each
+const withRelevance = (docs, results, options) => {
+  const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+  return withHighlights(
+    results.filter(r => byId.has(r._id.toString())).map(r => byId.get(r._id.toString())),
+    results,
+    options
+  );
+};
+
+module.exports = {
+  SEARCH_WEIGHTS,
+  MAX_NEAR_MATCHES,
+  escapeRegex,
+  textIndexFields,
+  parseSearchQuery,
+  fuzzyPattern,
+  fuzzyScore,
+  buildHighlights,
+  textSearch,
+  withHighlights,
+  withRelevance
+};
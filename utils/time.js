@@ -0,0 +1,57 @@
+// HH:MM (24h); "24:00" is allowed as an end-of-day boundary
+const TIME_PATTERN = /^(([0-1]?[0-9]|2[0-3]):[0-5][0-9]|24:00)$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const isValidTime = (value) => TIME_PATTERN.test(value);
+
+// "09:30" -> 570
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// 570 -> "09:30"
+const fromMinutes = (total) => {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Whether two HH:MM ranges overlap (touching ends don't count)
+const overlaps = (startA, endA, startB, endB) =>
+  toMinutes(startA) < toMinutes(endB) && toMinutes(startB) < toMinutes(endA);
+
+// Whether the inner range sits entirely inside the outer one
+const contains = (outerStart, outerEnd, innerStart, innerEnd) =>
+  toMinutes(outerStart) <= toMinutes(innerStart) && toMinutes(innerEnd) <= toMinutes(outerEnd);
+
+// Calendar day key in UTC ("2024-06-15")
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Last millisecond of the (UTC) day containing a date, for inclusive date ranges
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+// { value, unit } duration -> minutes
+const durationToMinutes = ({ value, unit = 'hours' }) =>
+  Math.round(value * (unit === 'days' ? MINUTES_PER_DAY : 60));
+
+// End time for a start time plus duration, capped at midnight
+const addMinutes = (time, minutes) => fromMinutes(Math.min(toMinutes(time) + minutes, MINUTES_PER_DAY));
+
+module.exports = {
+  TIME_PATTERN,
+  isValidTime,
+  toMinutes,
+  fromMinutes,
+  overlaps,
+  contains,
+  toDateKey,
+  endOfDay,
+  durationToMinutes,
+  addMinutes
+};
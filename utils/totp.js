@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New random shared secret (160 bits, base32 encoded)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step number for a timestamp
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP code for a given counter (RFC 4226)
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code, allowing one step of clock drift either way
+// Returns the matched step (store it to stop the same code being replayed) or null
+const verifyCode = (secret, code, { window = 1, lastUsedStep = null, time = Date.now() } = {}) => {
+  const normalised = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalised)) return null;
+
+  const current = getStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalised))) return step;
+  }
+
+  return null;
+};
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};